@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Command line access to the network queries of the website
+// Uses the same network-data.js functions as the page, so both give identical answers
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DEFAULT_MIN_CONFIDENCE,
+    parseNetworkText,
+    getLowestConfidenceBound,
+    getThresholdAdjacencyFromIndex,
+    queryEdges,
+    querySubnetwork,
+    getSignRowFilter,
+    combineRowFilters,
+    hasRankCutoff,
+    getRangeRowFilter,
+    addToNameIndex,
+    resolveNetworkId,
+    findNeighborhood,
+    findPaths,
+    getPathWeight,
+    getCascadeSign,
+    getSignLabel,
+    computeNetworkStatistics,
+    formatEdgesAsTSV
+} = require('../network-data.js');
+
+// Network loaded when --network is not given (the website's default)
+const DEFAULT_NETWORK_FILE = path.join(__dirname, '..', 'net_np3_sys_com_100.tsv');
+
+// Limits matching the website's neighborhood and path finder controls
+const MAX_HOPS = 5;
+const MAX_PATHS = 20;
+
+const USAGE = `Usage: crypto-net <command> [options]
+
+Commands:
+  query       Edges from the given TFs to the given genes (all targets or regulators if one side is omitted)
+  neighbors   Edges reached from a node within a number of hops
+  paths       Shortest path and top paths by confidence from a TF to a gene
+  stats       Degree, hub, component and confidence statistics
+
+Options:
+  --network FILE       Network TSV in either supported layout (default: net_np3_sys_com_100.tsv)
+  --min VALUE          Lower confidence bound (default: ${DEFAULT_MIN_CONFIDENCE}, or the network's lowest VALUE if lower)
+  --max VALUE          Upper confidence bound, for medium-confidence bands (default: 1, no bound)
+  --top-per-tf K       Keep only each TF's K strongest edges, regardless of --min and --max
+  --top-percent X      Keep only the strongest X% of all edges, regardless of --min and --max
+  --sign SIGN          all, activation or repression (signed networks only, default: all)
+  --format FORMAT      tsv or json (default: tsv)
+  --tf NAME            TF by common name or systematic ID, repeatable or comma-separated (query, stats)
+  --gene NAME          Target gene, repeatable or comma-separated (query, stats)
+  --node NAME          Starting gene (neighbors)
+  --direction DIR      downstream or upstream (neighbors, default: downstream)
+  --hops N             Number of hops, 1 to ${MAX_HOPS} (neighbors, default: 1)
+  --from NAME          Source TF (paths)
+  --to NAME            Target gene (paths)
+  --k N                Number of top paths, 1 to ${MAX_PATHS} (paths, default: 3)
+  --help               Show this message
+
+Example:
+  crypto-net query --tf CIR1 --min 0.5 --format tsv
+`;
+
+// Options that may be given more than once
+const LIST_OPTIONS = new Set(['tf', 'gene']);
+
+// Report a usage or data error and stop
+function fail(message) {
+    process.stderr.write(`crypto-net: ${message}\n`);
+    process.exit(1);
+}
+
+// Split the command line into a command and its options
+function parseArguments(argv) {
+    const options = { tf: [], gene: [] };
+    let command = null;
+    
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (argument === '--help' || argument === '-h') {
+            options.help = true;
+        } else if (argument.startsWith('--')) {
+            const equals = argument.indexOf('=');
+            const name = equals === -1 ? argument.slice(2) : argument.slice(2, equals);
+            let value = equals === -1 ? argv[++i] : argument.slice(equals + 1);
+            if (value === undefined) fail(`--${name} needs a value`);
+            
+            if (LIST_OPTIONS.has(name)) {
+                value.split(',').map(item => item.trim()).filter(item => item).forEach(item => options[name].push(item));
+            } else {
+                options[name] = value;
+            }
+        } else if (command === null) {
+            command = argument;
+        } else {
+            fail(`unexpected argument "${argument}"`);
+        }
+    }
+    
+    return { command: command, options: options };
+}
+
+// Number option within a range, or the default when absent
+function getNumberOption(options, name, defaultValue, min, max, isInteger) {
+    if (options[name] === undefined) return defaultValue;
+    const value = isInteger ? parseInt(options[name], 10) : parseFloat(options[name]);
+    if (isNaN(value) || value < min || value > max || (isInteger && String(value) !== options[name].trim())) {
+        fail(`--${name} must be ${isInteger ? 'a whole number' : 'a number'} between ${min} and ${max}`);
+    }
+    return value;
+}
+
+// Read and index a network file, with common names and a name index for resolving input
+function loadNetwork(file, commonNames) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        fail(`cannot read ${file}: ${error.message}`);
+    }
+    
+    const { result, index } = parseNetworkText(text, path.basename(file), commonNames);
+    if (result.fatalError) fail(`${path.basename(file)}: ${result.fatalError}`);
+    if (result.problems.length > 0) {
+        process.stderr.write(`crypto-net: skipped ${result.problems.length} invalid row(s) in ${path.basename(file)}\n`);
+    }
+    
+    const network = {
+        result: result,
+        index: index,
+        tfSet: new Set(index.byRegulator.keys()),
+        geneSet: new Set(index.byTarget.keys()),
+        tfNames: {},
+        geneNames: {},
+        nameIndex: new Map()
+    };
+    result.rows.forEach(row => {
+        if (row['REGULATOR-COM']) network.tfNames[row.REGULATOR] = row['REGULATOR-COM'];
+        if (row['TARGET-COM']) network.geneNames[row.TARGET] = row['TARGET-COM'];
+    });
+    Object.entries(network.tfNames).forEach(([id, commonName]) => addToNameIndex(network.nameIndex, commonName, id));
+    Object.entries(network.geneNames).forEach(([id, commonName]) => addToNameIndex(network.nameIndex, commonName, id));
+    
+    return network;
+}
+
+// Upper-case common names to systematic names, null for names shared by several genes
+// (as the website remembers them from the default network for np3-style files)
+function collectCommonNames(network) {
+    const commonNames = {};
+    const remember = (commonName, id) => {
+        if (!commonName || commonName === id) return;
+        const key = commonName.toUpperCase();
+        if (!commonNames.hasOwnProperty(key)) {
+            commonNames[key] = id;
+        } else if (commonNames[key] !== id) {
+            commonNames[key] = null;
+        }
+    };
+    network.result.rows.forEach(row => {
+        remember(row['REGULATOR-COM'], row.REGULATOR);
+        remember(row['TARGET-COM'], row.TARGET);
+    });
+    return commonNames;
+}
+
+// Resolve one name to a single systematic ID within a set, failing on no or several matches
+function resolveOne(network, text, knownSet, description) {
+    const matches = resolveNetworkId(text, knownSet, network.nameIndex);
+    if (matches.length === 0) fail(`"${text}" is not a ${description} in this network`);
+    if (matches.length > 1) fail(`"${text}" matches several ${description}s: ${matches.join(', ')}. Please use the systematic ID.`);
+    return matches[0];
+}
+
+// Resolve a list option to a set of IDs, or null when the option was not given
+function resolveList(network, names, knownSet, description) {
+    if (names.length === 0) return null;
+    return new Set(names.map(name => resolveOne(network, name, knownSet, description)));
+}
+
+// Display name of a node, as in the website's graph labels
+function getDisplayName(network, id) {
+    return network.tfNames[id] || network.geneNames[id] || id;
+}
+
+// Edge rows as TSV in the network file's layout, or as JSON
+function formatEdges(network, edges, format) {
+    if (format === 'json') {
+        return JSON.stringify(edges.map(row => {
+            const edge = {
+                regulator: row.REGULATOR,
+                target: row.TARGET,
+                regulatorName: network.tfNames[row.REGULATOR] || row.REGULATOR,
+                targetName: network.geneNames[row.TARGET] || row.TARGET,
+                value: row.VALUE
+            };
+            if (row.SIGN !== undefined) edge.sign = getSignLabel(row.SIGN);
+            if (row.extra) edge.extra = row.extra;
+            return edge;
+        }), null, 2) + '\n';
+    }
+    
+    return formatEdgesAsTSV(edges, {
+        format: network.result.format,
+        extraColumns: network.result.extraColumns,
+        isSigned: network.result.isSigned,
+        tfNames: network.tfNames,
+        geneNames: network.geneNames
+    });
+}
+
+// query: the edges the website shows for a selection of TFs and genes
+function runQuery(network, options, filter) {
+    const tfs = resolveList(network, options.tf, network.tfSet, 'TF');
+    const genes = resolveList(network, options.gene, network.geneSet, 'target gene');
+    if (!tfs && !genes) fail('query needs at least one --tf or --gene');
+    
+    return formatEdges(network, queryEdges(network.index, tfs, genes, filter.minConfidence, filter.rowFilter), options.format);
+}
+
+// neighbors: the edges the website shows after expanding an empty selection from a node
+function runNeighbors(network, options, filter) {
+    if (!options.node) fail('neighbors needs --node');
+    const direction = options.direction || 'downstream';
+    if (direction !== 'downstream' && direction !== 'upstream') fail('--direction must be downstream or upstream');
+    const hops = getNumberOption(options, 'hops', 1, 1, MAX_HOPS, true);
+    
+    const knownSet = new Set([...network.tfSet, ...network.geneSet]);
+    const nodeId = resolveOne(network, options.node, knownSet, 'gene');
+    const adjacency = getThresholdAdjacencyFromIndex(network.index, filter.minConfidence, filter.rowFilter);
+    const { tfs, genes } = findNeighborhood(adjacency, nodeId, direction, hops);
+    const edges = querySubnetwork(network.index, tfs, genes, filter.minConfidence, filter.rowFilter);
+    
+    if (options.format === 'json') {
+        return JSON.stringify({
+            node: nodeId,
+            direction: direction,
+            hops: hops,
+            tfs: Array.from(tfs),
+            genes: Array.from(genes),
+            edges: JSON.parse(formatEdges(network, edges, 'json'))
+        }, null, 2) + '\n';
+    }
+    return formatEdges(network, edges, options.format);
+}
+
+// paths: the website's path finder results
+function runPaths(network, options, filter) {
+    if (!options.from || !options.to) fail('paths needs --from and --to');
+    const k = getNumberOption(options, 'k', 3, 1, MAX_PATHS, true);
+    const source = resolveOne(network, options.from, network.tfSet, 'TF');
+    const target = resolveOne(network, options.to, network.geneSet, 'target gene');
+    if (source === target) fail('--to must be a different gene from --from');
+    
+    const adjacency = getThresholdAdjacencyFromIndex(network.index, filter.minConfidence, filter.rowFilter);
+    const { shortest, topPaths } = findPaths(adjacency, source, target, k);
+    
+    const describePath = (kind, pathResult, rank) => ({
+        kind: kind,
+        rank: rank,
+        steps: pathResult.edges.length,
+        weight: getPathWeight(pathResult),
+        netSign: network.result.isSigned ? getSignLabel(getCascadeSign(pathResult.edges)) : undefined,
+        nodes: pathResult.nodes,
+        names: pathResult.nodes.map(id => getDisplayName(network, id))
+    });
+    const paths = shortest
+        ? [describePath('shortest', shortest, 1)].concat(topPaths.map((pathResult, i) => describePath('top', pathResult, i + 1)))
+        : [];
+    
+    if (options.format === 'json') {
+        return JSON.stringify({ source: source, target: target, minConfidence: filter.minConfidence, paths: paths }, null, 2) + '\n';
+    }
+    
+    const columns = ['KIND', 'RANK', 'STEPS', 'WEIGHT', ...(network.result.isSigned ? ['NET-SIGN'] : []), 'PATH', 'PATH-COM'];
+    const lines = [columns.join('\t')];
+    paths.forEach(entry => {
+        lines.push([
+            entry.kind,
+            entry.rank,
+            entry.steps,
+            entry.weight,
+            ...(network.result.isSigned ? [entry.netSign] : []),
+            entry.nodes.join('>'),
+            entry.names.join('>')
+        ].join('\t'));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// stats: the website's statistics panel for the whole network (or a query of it)
+function runStats(network, options, filter) {
+    const tfs = resolveList(network, options.tf, network.tfSet, 'TF');
+    const genes = resolveList(network, options.gene, network.geneSet, 'target gene');
+    const edges = queryEdges(network.index, tfs, genes, filter.minConfidence, filter.rowFilter);
+    const stats = computeNetworkStatistics(edges, [], network.tfSet);
+    
+    if (options.format === 'json') {
+        return JSON.stringify(stats, (key, value) => (key === 'lower' || key === 'upper') ? undefined : value, 2) + '\n';
+    }
+    
+    const lines = [['SECTION', 'LABEL', 'VALUE'].join('\t')];
+    const add = (section, label, value) => lines.push([section, label, value].join('\t'));
+    add('summary', 'nodes', stats.nodeCount);
+    add('summary', 'edges', stats.edgeCount);
+    add('summary', 'regulators', stats.regulatorCount);
+    add('summary', 'targets', stats.targetCount);
+    add('summary', 'tf-to-tf-edges', stats.tfToTFEdges);
+    add('summary', 'reciprocal-pairs', stats.reciprocalPairs.length);
+    add('summary', 'components', stats.componentCount);
+    add('summary', 'largest-component', stats.largestComponent);
+    stats.hubs.forEach(([id, degree]) => add('hub', `${getDisplayName(network, id)} (${id})`, degree));
+    stats.outDegreeBins.forEach(bin => add('out-degree', bin.label, bin.count));
+    stats.inDegreeBins.forEach(bin => add('in-degree', bin.label, bin.count));
+    stats.valueBins.forEach(bin => add('confidence', bin.label, bin.count));
+    return lines.join('\n') + '\n';
+}
+
+const COMMANDS = {
+    'query': runQuery,
+    'neighbors': runNeighbors,
+    'paths': runPaths,
+    'stats': runStats
+};
+
+function main(argv) {
+    const { command, options } = parseArguments(argv);
+    if (options.help || command === null) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) fail(`unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+    
+    options.format = options.format || 'tsv';
+    if (options.format !== 'tsv' && options.format !== 'json') fail('--format must be tsv or json');
+    
+    const sign = options.sign || 'all';
+    if (!['all', 'activation', 'repression'].includes(sign)) fail('--sign must be all, activation or repression');
+    
+    // np3-style files name genes by common name, resolved with the default network's names as on the website
+    const defaultNetwork = loadNetwork(DEFAULT_NETWORK_FILE, {});
+    const network = options.network && path.resolve(options.network) !== DEFAULT_NETWORK_FILE
+        ? loadNetwork(path.resolve(options.network), collectCommonNames(defaultNetwork))
+        : defaultNetwork;
+    if (sign !== 'all' && !network.result.isSigned) fail('--sign needs a signed network (SIGN column or negative VALUEs)');
+    
+    // The same lower bound, upper bound, rank cutoffs and sign filter as the website's Confidence Filter
+    // Rank cutoffs keep edges regardless of VALUE, so they replace the bounds as the website's sliders do
+    const topPerTF = getNumberOption(options, 'top-per-tf', 0, 1, Infinity, true);
+    const topPercent = getNumberOption(options, 'top-percent', 0, 0, 100, false);
+    const isRanked = hasRankCutoff(topPerTF, topPercent);
+    if (isRanked && (options.min !== undefined || options.max !== undefined)) {
+        process.stderr.write('crypto-net: --min and --max are not applied with --top-per-tf or --top-percent\n');
+    }
+    const minConfidence = isRanked ? 0 : getNumberOption(options, 'min', getLowestConfidenceBound(network.result.rows), 0, 1, false);
+    const maxConfidence = getNumberOption(options, 'max', 1, minConfidence, 1, false);
+    const rangeFilter = getRangeRowFilter(network.index, maxConfidence, topPerTF, topPercent);
+    const filter = {
+        minConfidence: minConfidence,
+        rowFilter: combineRowFilters([getSignRowFilter(sign), rangeFilter].filter(rowFilter => rowFilter))
+    };
+    
+    process.stdout.write(COMMANDS[command](network, options, filter));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,841 @@
+// Network data pipeline shared by the page (network.js), the parsing worker (network-worker.js)
+// and the crypto-net command line tool (bin/crypto-net.js)
+// Everything here is free of DOM access so it can run inside a Web Worker or under Node
+
+// PapaParse is a global in the page and the worker, and the papaparse package under Node
+const csvParser = typeof Papa !== 'undefined' ? Papa : require('papaparse');
+
+// Column layouts accepted by the network loader
+const NETWORK_FORMATS = {
+    'sys-com': {
+        label: 'systematic/common names (5 columns)',
+        requiredColumns: ['REGULATOR', 'TARGET', 'REGULATOR-COM', 'TARGET-COM', 'VALUE']
+    },
+    'np3': {
+        label: 'np3 names with CNAG_ prefixes (4 columns)',
+        requiredColumns: ['REGULATOR', 'TARGET', 'VALUE']
+    }
+};
+
+// Lowest confidence bound offered for the published network, cut at 0.14
+const DEFAULT_MIN_CONFIDENCE = 0.14;
+
+// Cost added per step when looking for the path with the fewest steps, large enough
+// that confidence only breaks ties between paths of the same length
+const PATH_STEP_COST = 1000;
+
+// Number of hub TFs listed in the network statistics
+const STATS_TOP_HUBS = 10;
+
+// Out-degree buckets (upper bounds) for the network statistics
+const OUT_DEGREE_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, Infinity];
+
+// Values of an optional SIGN column, by lower-case text
+const SIGN_VALUES = {
+    '+': 1, '1': 1, '+1': 1, 'activation': 1, 'activating': 1, 'activator': 1, 'up': 1, 'positive': 1,
+    '-': -1, '-1': -1, 'repression': -1, 'repressing': -1, 'repressor': -1, 'down': -1, 'negative': -1
+};
+
+// Work out which supported column layout a header row matches
+function detectNetworkFormat(fields) {
+    const fieldSet = new Set(fields);
+    // Check the most specific layout first, the np3 columns are a subset of sys-com
+    for (const format of ['sys-com', 'np3']) {
+        if (NETWORK_FORMATS[format].requiredColumns.every(column => fieldSet.has(column))) {
+            return format;
+        }
+    }
+    return null;
+}
+
+// Strip the CNAG_ prefix so every layout uses the bare systematic number
+function normalizeSystematicName(name) {
+    const match = /^CNAG_(.+)$/i.exec(name);
+    return match ? match[1] : name;
+}
+
+// Resolve an np3-style name (common name or CNAG_ ID) to systematic and common names
+// commonNames maps upper-case common names to systematic names from earlier loads
+function resolveNp3Name(name, commonNames) {
+    const match = /^CNAG_(.+)$/i.exec(name);
+    if (match) {
+        // Genes without a common name use the systematic number for both
+        return { systematic: match[1], common: match[1] };
+    }
+    // Names shared by several genes are ambiguous (null) and kept as their own ID
+    const systematic = commonNames[name.toUpperCase()];
+    return { systematic: systematic || name, common: name };
+}
+
+// Check the header and every row, returning normalized rows plus a list of problems
+function validateNetworkRows(results, fileName, commonNames) {
+    const fields = results.meta.fields || [];
+    const format = detectNetworkFormat(fields);
+    
+    if (!format) {
+        const missing = NETWORK_FORMATS['np3'].requiredColumns.filter(column => !fields.includes(column));
+        return {
+            fileName: fileName,
+            rows: [],
+            problems: [],
+            fatalError: `Unrecognized header. Missing column(s): ${missing.join(', ')}. ` +
+                        'Expected REGULATOR, TARGET, REGULATOR-COM, TARGET-COM, VALUE or an index column followed by REGULATOR, TARGET, VALUE.'
+        };
+    }
+    
+    const problems = [];
+    
+    // Any other named columns (evidence, p-values, ...) are kept per row under row.extra
+    const knownColumns = new Set([...NETWORK_FORMATS['sys-com'].requiredColumns, 'SIGN']);
+    const hasSignColumn = fields.includes('SIGN');
+    let hasNegativeValues = false;
+    const extraColumns = fields.filter(field => field && !knownColumns.has(field));
+    
+    // Blank lines are kept by the parser so row numbers match line numbers, and are skipped here
+    const isBlankLine = row => {
+        const values = Object.values(row);
+        return values.length === 1 && values[0] === '';
+    };
+    
+    // Rows PapaParse could not split into the expected number of fields are skipped
+    const malformedRows = new Set();
+    results.errors.forEach(error => {
+        if (typeof error.row === 'number' && !isBlankLine(results.data[error.row] || {})) {
+            malformedRows.add(error.row);
+            // Line numbers are 1-based and the header occupies line 1
+            problems.push({ line: error.row + 2, message: error.message });
+        }
+    });
+    
+    const rows = [];
+    results.data.forEach((row, index) => {
+        if (malformedRows.has(index) || isBlankLine(row)) return;
+        
+        const line = index + 2;
+        const regulator = (row.REGULATOR || '').trim();
+        const target = (row.TARGET || '').trim();
+        const valueText = (row.VALUE || '').trim();
+        const value = Number(valueText);
+        
+        if (!regulator || !target) {
+            problems.push({ line: line, message: 'Missing REGULATOR or TARGET' });
+            return;
+        }
+        if (valueText === '' || !isFinite(value)) {
+            problems.push({ line: line, message: `VALUE "${valueText}" is not a number` });
+            return;
+        }
+        
+        // A signed VALUE carries repression as a negative number, the confidence is its magnitude
+        // Confidences are above 0 and at most 1, which keeps path costs (-log VALUE) non-negative
+        const confidence = Math.abs(value);
+        if (confidence === 0 || confidence > 1) {
+            problems.push({ line: line, message: `VALUE "${valueText}" is not a confidence above 0 and at most 1` });
+            return;
+        }
+        let sign = hasSignColumn ? SIGN_VALUES[(row.SIGN || '').trim().toLowerCase()] : undefined;
+        if (value < 0) {
+            hasNegativeValues = true;
+            if (sign === undefined) sign = -1;
+        }
+        
+        let normalized;
+        if (format === 'sys-com') {
+            normalized = {
+                'REGULATOR': normalizeSystematicName(regulator),
+                'TARGET': normalizeSystematicName(target),
+                'REGULATOR-COM': (row['REGULATOR-COM'] || '').trim(),
+                'TARGET-COM': (row['TARGET-COM'] || '').trim(),
+                'VALUE': confidence
+            };
+        } else {
+            const regulatorNames = resolveNp3Name(regulator, commonNames);
+            const targetNames = resolveNp3Name(target, commonNames);
+            normalized = {
+                'REGULATOR': regulatorNames.systematic,
+                'TARGET': targetNames.systematic,
+                'REGULATOR-COM': regulatorNames.common,
+                'TARGET-COM': targetNames.common,
+                'VALUE': confidence
+            };
+        }
+        
+        // SIGN is 1 (activation) or -1 (repression), and absent when unknown
+        if (sign !== undefined) normalized.SIGN = sign;
+        
+        if (extraColumns.length > 0) {
+            normalized.extra = {};
+            extraColumns.forEach(column => {
+                const text = (row[column] || '').trim();
+                if (text !== '') normalized.extra[column] = text;
+            });
+        }
+        rows.push(normalized);
+    });
+    
+    problems.sort((a, b) => a.line - b.line);
+    
+    // Without a SIGN column, a file with negative values is signed and its other edges activate
+    if (!hasSignColumn && hasNegativeValues) {
+        rows.forEach(row => {
+            if (row.SIGN === undefined) row.SIGN = 1;
+        });
+    }
+    
+    if (rows.length === 0) {
+        return {
+            fileName: fileName,
+            format: format,
+            rows: rows,
+            problems: problems,
+            fatalError: 'The file does not contain any valid edges.'
+        };
+    }
+    
+    return {
+        fileName: fileName,
+        format: format,
+        rows: rows,
+        problems: problems,
+        extraColumns: extraColumns,
+        isSigned: rows.some(row => row.SIGN !== undefined),
+        checksum: computeNetworkChecksum(rows)
+    };
+}
+
+// Checksum of a network's edges (FNV-1a over regulator, target, value and sign of every row)
+// It is taken over the parsed rows rather than the file bytes, so line endings and column
+// order do not matter, and workspaces can tell whether they are opened on the same network
+function computeNetworkChecksum(rows) {
+    let hash = 0x811c9dc5;
+    rows.forEach(row => {
+        const line = `${row.REGULATOR}\t${row.TARGET}\t${row.VALUE}\t${row.SIGN === undefined ? '' : row.SIGN}\n`;
+        for (let i = 0; i < line.length; i++) {
+            hash = Math.imul(hash ^ line.charCodeAt(i), 0x01000193);
+        }
+    });
+    return 'fnv1a-' + (hash >>> 0).toString(16).padStart(8, '0') + '-' + rows.length;
+}
+
+// Parse a network TSV (URL or File) with PapaParse, validate it and index the edges
+// Calls onParsed with the load result and the edge index (null when nothing loaded)
+function parseAndIndexNetwork(source, fileName, commonNames, onParsed) {
+    csvParser.parse(source, {
+        download: typeof source === 'string',
+        delimiter: '\t',
+        header: true,
+        transformHeader: header => header.trim(),
+        complete: function(results) {
+            const result = validateNetworkRows(results, fileName, commonNames);
+            onParsed(result, result.fatalError ? null : buildEdgeIndex(result.rows));
+        },
+        error: function(error) {
+            onParsed({
+                fileName: fileName,
+                rows: [],
+                problems: [],
+                fatalError: error && error.message ? error.message : String(error)
+            }, null);
+        }
+    });
+}
+
+// Parse network TSV text synchronously (as the command line tool reads files)
+// Returns the load result and the edge index (null when nothing loaded)
+function parseNetworkText(text, fileName, commonNames) {
+    const results = csvParser.parse(text, {
+        delimiter: '\t',
+        header: true,
+        transformHeader: header => header.trim()
+    });
+    const result = validateNetworkRows(results, fileName, commonNames);
+    return { result: result, index: result.fatalError ? null : buildEdgeIndex(result.rows) };
+}
+
+// Lowest confidence bound offered for a network: 0.14, or lower for a network cut at a lower
+// threshold so its weakest edges can be shown (in whole hundredths, as the sliders step by 0.01)
+function getLowestConfidenceBound(rows) {
+    let lowestValue = DEFAULT_MIN_CONFIDENCE;
+    rows.forEach(row => {
+        if (row.VALUE < lowestValue) lowestValue = row.VALUE;
+    });
+    return Math.min(DEFAULT_MIN_CONFIDENCE, Math.floor(lowestValue * 100) / 100);
+}
+
+// Build by-regulator and by-target adjacency lists, each sorted by confidence (highest first)
+// so the edges at or above a threshold are always a prefix of the list
+function buildEdgeIndex(rows) {
+    const byRegulator = new Map();
+    const byTarget = new Map();
+    
+    rows.forEach(row => {
+        if (!byRegulator.has(row.REGULATOR)) byRegulator.set(row.REGULATOR, []);
+        byRegulator.get(row.REGULATOR).push(row);
+        
+        if (!byTarget.has(row.TARGET)) byTarget.set(row.TARGET, []);
+        byTarget.get(row.TARGET).push(row);
+    });
+    
+    const byConfidence = (a, b) => b.VALUE - a.VALUE;
+    byRegulator.forEach(list => list.sort(byConfidence));
+    byTarget.forEach(list => list.sort(byConfidence));
+    
+    return { byRegulator: byRegulator, byTarget: byTarget, edgeCount: rows.length };
+}
+
+// Number of edges in a confidence-sorted list at or above the threshold (binary search)
+function countEdgesAtThreshold(sortedRows, minConfidence) {
+    let low = 0;
+    let high = sortedRows.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sortedRows[middle].VALUE >= minConfidence) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Edges of one regulator (or target) at or above the threshold
+// The optional rowFilter drops edges failing other filters (e.g. edge sign)
+function getIndexedEdges(adjacency, id, minConfidence, rowFilter) {
+    const sortedRows = adjacency.get(id);
+    if (!sortedRows) return [];
+    const rows = sortedRows.slice(0, countEdgesAtThreshold(sortedRows, minConfidence));
+    return rowFilter ? rows.filter(rowFilter) : rows;
+}
+
+// All edges at or above the threshold, grouped by regulator and by target
+function getThresholdAdjacencyFromIndex(index, minConfidence, rowFilter) {
+    const filterLists = adjacency => {
+        const filtered = new Map();
+        adjacency.forEach((sortedRows, id) => {
+            const count = countEdgesAtThreshold(sortedRows, minConfidence);
+            const rows = rowFilter ? sortedRows.slice(0, count).filter(rowFilter) : sortedRows.slice(0, count);
+            if (rows.length > 0) filtered.set(id, rows);
+        });
+        return filtered;
+    };
+    
+    return { byRegulator: filterLists(index.byRegulator), byTarget: filterLists(index.byTarget) };
+}
+
+// Edges between the given TFs and genes at or above the threshold
+// Walks whichever side (TFs or genes) has fewer candidate edges
+function querySubnetwork(index, tfs, genes, minConfidence, rowFilter) {
+    const sideSize = (adjacency, ids) => {
+        let total = 0;
+        ids.forEach(id => {
+            const sortedRows = adjacency.get(id);
+            if (sortedRows) total += countEdgesAtThreshold(sortedRows, minConfidence);
+        });
+        return total;
+    };
+    
+    const edges = [];
+    if (sideSize(index.byRegulator, tfs) <= sideSize(index.byTarget, genes)) {
+        tfs.forEach(tf => {
+            getIndexedEdges(index.byRegulator, tf, minConfidence, rowFilter).forEach(row => {
+                if (genes.has(row.TARGET)) edges.push(row);
+            });
+        });
+    } else {
+        genes.forEach(gene => {
+            getIndexedEdges(index.byTarget, gene, minConfidence, rowFilter).forEach(row => {
+                if (tfs.has(row.REGULATOR)) edges.push(row);
+            });
+        });
+    }
+    
+    return edges;
+}
+
+// Node and edge counts of the subnetwork that querySubnetwork would return
+function estimateSubnetworkSize(index, tfs, genes, minConfidence, rowFilter) {
+    const edges = querySubnetwork(index, tfs, genes, minConfidence, rowFilter);
+    const nodes = new Set();
+    edges.forEach(row => {
+        nodes.add(row.REGULATOR);
+        nodes.add(row.TARGET);
+    });
+    return { nodeCount: nodes.size, edgeCount: edges.length };
+}
+
+// Edges from the given TFs to the given genes at or above the threshold
+// null for either side means any TF (or any gene)
+function queryEdges(index, tfs, genes, minConfidence, rowFilter) {
+    if (tfs && genes) return querySubnetwork(index, tfs, genes, minConfidence, rowFilter);
+    
+    const edges = [];
+    if (tfs) {
+        tfs.forEach(tf => edges.push(...getIndexedEdges(index.byRegulator, tf, minConfidence, rowFilter)));
+    } else if (genes) {
+        genes.forEach(gene => edges.push(...getIndexedEdges(index.byTarget, gene, minConfidence, rowFilter)));
+    } else {
+        index.byRegulator.forEach((rows, tf) => edges.push(...getIndexedEdges(index.byRegulator, tf, minConfidence, rowFilter)));
+    }
+    return edges;
+}
+
+// Row filter keeping one edge sign ('activation' or 'repression'), or null for 'all'
+function getSignRowFilter(signFilter) {
+    if (!signFilter || signFilter === 'all') return null;
+    const wantedSign = signFilter === 'activation' ? 1 : -1;
+    return row => row.SIGN === wantedSign;
+}
+
+// Combine row filters into one (null when there are none)
+function combineRowFilters(filters) {
+    if (filters.length === 0) return null;
+    if (filters.length === 1) return filters[0];
+    return row => filters.every(filter => filter(row));
+}
+
+// Whether a rank cutoff is set (rank cutoffs replace the confidence bounds, see getRangeRowFilter)
+function hasRankCutoff(topPerTF, topPercent) {
+    return topPerTF > 0 || (topPercent > 0 && topPercent < 100);
+}
+
+// Row filter for an upper confidence bound or rank cutoffs, or null when none applies
+// maxConfidence of 1 or more is no upper bound; topPerTF keeps each regulator's k strongest
+// edges and topPercent the strongest X% of all edges (0 turns either off), both ranked by
+// VALUE over the whole network. Rank cutoffs keep edges regardless of their absolute VALUE,
+// so with one set the upper bound is ignored and callers query from the lowest VALUE
+function getRangeRowFilter(index, maxConfidence, topPerTF, topPercent) {
+    const filters = [];
+    const edgeKey = row => `${row.REGULATOR}\t${row.TARGET}`;
+    
+    if (maxConfidence < 1 && !hasRankCutoff(topPerTF, topPercent)) {
+        filters.push(row => row.VALUE <= maxConfidence);
+    }
+    
+    if (topPerTF > 0) {
+        const keys = new Set();
+        index.byRegulator.forEach(sortedRows => sortedRows.slice(0, topPerTF).forEach(row => keys.add(edgeKey(row))));
+        filters.push(row => keys.has(edgeKey(row)));
+    }
+    
+    if (topPercent > 0 && topPercent < 100) {
+        const rows = [];
+        index.byRegulator.forEach(sortedRows => sortedRows.forEach(row => rows.push(row)));
+        rows.sort((a, b) => b.VALUE - a.VALUE);
+        const keys = new Set(rows.slice(0, Math.ceil(rows.length * topPercent / 100)).map(edgeKey));
+        filters.push(row => keys.has(edgeKey(row)));
+    }
+    
+    return combineRowFilters(filters);
+}
+
+// Add a common name (or alias) for a systematic ID to an upper-case name index
+function addToNameIndex(nameIndex, commonName, id) {
+    if (!commonName || commonName === id) return;
+    const key = commonName.toUpperCase();
+    if (!nameIndex.has(key)) nameIndex.set(key, new Set());
+    nameIndex.get(key).add(id);
+}
+
+// Resolve typed text to the systematic names it could mean within a set of known IDs
+// Accepts "Name (ID)" as shown in the lists, systematic IDs with or without the CNAG_
+// prefix or zero padding, and common names (case-insensitive) from the name index
+function resolveNetworkId(text, knownSet, nameIndex) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+    
+    // "Cir1 (04864)" as offered in the suggestion lists
+    const labelMatch = /\(([^()]+)\)\s*$/.exec(trimmed);
+    if (labelMatch && knownSet.has(labelMatch[1])) {
+        return [labelMatch[1]];
+    }
+    
+    if (knownSet.has(trimmed)) return [trimmed];
+    
+    // Systematic IDs: strip the prefix and pad short numbers to five digits
+    const systematic = normalizeSystematicName(trimmed);
+    if (knownSet.has(systematic)) return [systematic];
+    if (/^\d{1,4}$/.test(systematic)) {
+        const padded = systematic.padStart(5, '0');
+        if (knownSet.has(padded)) return [padded];
+    }
+    
+    const candidates = nameIndex.get(trimmed.toUpperCase());
+    return candidates ? Array.from(candidates).filter(id => knownSet.has(id)) : [];
+}
+
+// TFs and genes reached from a node along regulatory edges within the given number of hops
+// Downstream: the node's targets (and their targets, for TFs among them)
+// Upstream: the node's regulators (and their regulators)
+// cascadeSigns holds the net signs of the shortest cascades reaching each node
+function findNeighborhood(adjacency, nodeId, direction, hops) {
+    const tfs = new Set();
+    const genes = new Set();
+    const visited = new Set([nodeId]);
+    let frontier = [nodeId];
+    
+    // A set of signs per node, as several shortest cascades may arrive at once
+    const cascadeSigns = new Map([[nodeId, { signs: new Set([1]), hops: 0 }]]);
+    const reach = (fromId, toId, row, hop) => {
+        const edgeSign = row.SIGN !== undefined ? row.SIGN : 0;
+        if (!cascadeSigns.has(toId)) {
+            cascadeSigns.set(toId, { signs: new Set(), hops: hop + 1 });
+        }
+        const entry = cascadeSigns.get(toId);
+        if (entry.hops === hop + 1) {
+            cascadeSigns.get(fromId).signs.forEach(sign => entry.signs.add(sign * edgeSign));
+        }
+    };
+    
+    for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+        const nextFrontier = [];
+        
+        frontier.forEach(id => {
+            if (direction === 'downstream') {
+                const edges = adjacency.byRegulator.get(id) || [];
+                if (edges.length > 0) tfs.add(id);
+                
+                edges.forEach(row => {
+                    genes.add(row.TARGET);
+                    reach(id, row.TARGET, row, hop);
+                    if (!visited.has(row.TARGET)) {
+                        visited.add(row.TARGET);
+                        nextFrontier.push(row.TARGET);
+                    }
+                });
+            } else {
+                const edges = adjacency.byTarget.get(id) || [];
+                if (edges.length > 0) genes.add(id);
+                
+                edges.forEach(row => {
+                    tfs.add(row.REGULATOR);
+                    reach(id, row.REGULATOR, row, hop);
+                    if (!visited.has(row.REGULATOR)) {
+                        visited.add(row.REGULATOR);
+                        nextFrontier.push(row.REGULATOR);
+                    }
+                });
+            }
+        });
+        
+        frontier = nextFrontier;
+    }
+    
+    return { tfs: tfs, genes: genes, cascadeSigns: cascadeSigns };
+}
+
+// Cheapest path from source to target using Dijkstra's algorithm
+// Only TFs have outgoing edges, so the search only ever expands TFs and the target
+function findCheapestPath(adjacency, source, target, edgeCost, blockedEdges, blockedNodes) {
+    const distances = new Map([[source, 0]]);
+    const previous = new Map();
+    const done = new Set();
+    
+    while (true) {
+        // Pick the closest unfinished node (the frontier is small: TFs only)
+        let current = null;
+        distances.forEach((distance, node) => {
+            if (!done.has(node) && (current === null || distance < distances.get(current))) {
+                current = node;
+            }
+        });
+        if (current === null) return null;
+        if (current === target) break;
+        done.add(current);
+        
+        (adjacency.byRegulator.get(current) || []).forEach(row => {
+            const next = row.TARGET;
+            if (done.has(next) || blockedNodes.has(next)) return;
+            if (blockedEdges.has(`${row.REGULATOR}\t${row.TARGET}`)) return;
+            if (next !== target && !adjacency.byRegulator.has(next)) return;
+            
+            const distance = distances.get(current) + edgeCost(row);
+            if (!distances.has(next) || distance < distances.get(next)) {
+                distances.set(next, distance);
+                previous.set(next, row);
+            }
+        });
+    }
+    
+    // Walk back from the target to rebuild the path
+    const edges = [];
+    let node = target;
+    while (node !== source) {
+        const row = previous.get(node);
+        edges.unshift(row);
+        node = row.REGULATOR;
+    }
+    
+    return { nodes: [source].concat(edges.map(row => row.TARGET)), edges: edges, cost: distances.get(target) };
+}
+
+// Up to k cheapest simple paths from source to target (Yen's algorithm)
+function findCheapestPaths(adjacency, source, target, k, edgeCost) {
+    const first = findCheapestPath(adjacency, source, target, edgeCost, new Set(), new Set());
+    if (!first) return [];
+    
+    const paths = [first];
+    const candidates = [];
+    const seen = new Set([first.nodes.join('>')]);
+    
+    while (paths.length < k) {
+        const lastPath = paths[paths.length - 1];
+        
+        // Deviate from the last path at each of its nodes in turn
+        for (let i = 0; i < lastPath.nodes.length - 1; i++) {
+            const spurNode = lastPath.nodes[i];
+            const rootNodes = lastPath.nodes.slice(0, i + 1);
+            const rootKey = rootNodes.join('>');
+            
+            // Block the next edge of every known path sharing this root
+            const blockedEdges = new Set();
+            paths.forEach(path => {
+                if (path.nodes.slice(0, i + 1).join('>') === rootKey) {
+                    const edge = path.edges[i];
+                    blockedEdges.add(`${edge.REGULATOR}\t${edge.TARGET}`);
+                }
+            });
+            
+            // Keep the path simple by not revisiting the root
+            const blockedNodes = new Set(rootNodes.slice(0, -1));
+            
+            const spurPath = findCheapestPath(adjacency, spurNode, target, edgeCost, blockedEdges, blockedNodes);
+            if (!spurPath) continue;
+            
+            const rootEdges = lastPath.edges.slice(0, i);
+            const nodes = rootNodes.slice(0, -1).concat(spurPath.nodes);
+            const key = nodes.join('>');
+            if (seen.has(key)) continue;
+            
+            seen.add(key);
+            const edges = rootEdges.concat(spurPath.edges);
+            candidates.push({ nodes: nodes, edges: edges, cost: edges.reduce((sum, row) => sum + edgeCost(row), 0) });
+        }
+        
+        if (candidates.length === 0) break;
+        candidates.sort((a, b) => a.cost - b.cost);
+        paths.push(candidates.shift());
+    }
+    
+    return paths;
+}
+
+// Path weight: the product of the confidence VALUEs along the path
+function getPathWeight(path) {
+    return path.edges.reduce((weight, row) => weight * row.VALUE, 1);
+}
+
+// Shortest path (fewest steps, confidence breaking ties) and the top k paths by confidence
+function findPaths(adjacency, source, target, k) {
+    const shortest = findCheapestPath(adjacency, source, target,
+        row => PATH_STEP_COST - Math.log(row.VALUE), new Set(), new Set());
+    
+    // Highest product of VALUEs, i.e. the lowest sum of -log(VALUE) (never negative, as VALUEs are at most 1)
+    const topPaths = findCheapestPaths(adjacency, source, target, k, row => -Math.log(row.VALUE));
+    
+    return { shortest: shortest, topPaths: topPaths };
+}
+
+// Net sign of a chain of edges: 1 activation, -1 repression, 0 when an edge has no sign
+function getCascadeSign(rows) {
+    return rows.reduce((sign, row) => sign * (row.SIGN !== undefined ? row.SIGN : 0), 1);
+}
+
+// Readable name of a net sign
+function getSignLabel(sign) {
+    if (sign > 0) return 'activation';
+    if (sign < 0) return 'repression';
+    return 'unknown';
+}
+
+// Compute degree, hub, motif, component and confidence statistics for a set of edges
+// tfIds is the set of regulators in the whole network, for counting TF-to-TF edges
+function computeNetworkStatistics(edges, extraNodeIds, tfIds) {
+    const nodes = new Set(extraNodeIds);
+    const outDegree = new Map();
+    const inDegree = new Map();
+    const edgeKeys = new Set();
+    const values = [];
+    let tfToTFEdges = 0;
+    
+    edges.forEach(row => {
+        nodes.add(row.REGULATOR);
+        nodes.add(row.TARGET);
+        outDegree.set(row.REGULATOR, (outDegree.get(row.REGULATOR) || 0) + 1);
+        inDegree.set(row.TARGET, (inDegree.get(row.TARGET) || 0) + 1);
+        edgeKeys.add(`${row.REGULATOR}\t${row.TARGET}`);
+        values.push(row.VALUE);
+        
+        if (tfIds.has(row.TARGET)) tfToTFEdges++;
+    });
+    
+    // Reciprocal regulation: A regulates B and B regulates A
+    const reciprocalPairs = [];
+    edges.forEach(row => {
+        if (row.REGULATOR < row.TARGET && edgeKeys.has(`${row.TARGET}\t${row.REGULATOR}`)) {
+            reciprocalPairs.push([row.REGULATOR, row.TARGET]);
+        }
+    });
+    
+    // Weakly connected components with union-find
+    const parent = new Map();
+    const find = node => {
+        while (parent.get(node) !== node) {
+            parent.set(node, parent.get(parent.get(node)));
+            node = parent.get(node);
+        }
+        return node;
+    };
+    nodes.forEach(node => parent.set(node, node));
+    edges.forEach(row => {
+        const rootA = find(row.REGULATOR);
+        const rootB = find(row.TARGET);
+        if (rootA !== rootB) parent.set(rootA, rootB);
+    });
+    const componentSizes = new Map();
+    nodes.forEach(node => {
+        const root = find(node);
+        componentSizes.set(root, (componentSizes.get(root) || 0) + 1);
+    });
+    const sizes = Array.from(componentSizes.values()).sort((a, b) => b - a);
+    
+    // Out-degree of regulators in buckets
+    const outDegreeBins = OUT_DEGREE_BUCKETS.map((upper, index) => {
+        const lower = index === 0 ? 1 : OUT_DEGREE_BUCKETS[index - 1] + 1;
+        const label = upper === Infinity ? `> ${OUT_DEGREE_BUCKETS[index - 1]}` : (lower === upper ? `${upper}` : `${lower}–${upper}`);
+        return { label: label, count: 0, lower: lower, upper: upper };
+    });
+    outDegree.forEach(degree => {
+        outDegreeBins.find(bin => degree >= bin.lower && degree <= bin.upper).count++;
+    });
+    
+    // In-degree of targets, 10 or more lumped together
+    const inDegreeBins = [];
+    for (let degree = 1; degree <= 10; degree++) {
+        inDegreeBins.push({ label: degree === 10 ? '≥ 10' : `${degree}`, count: 0 });
+    }
+    inDegree.forEach(degree => {
+        inDegreeBins[Math.min(degree, 10) - 1].count++;
+    });
+    
+    // Confidence VALUEs in bins of 0.05
+    const valueBins = [];
+    if (values.length > 0) {
+        const binWidth = 0.05;
+        const start = Math.floor(Math.min(...values) / binWidth) * binWidth;
+        const binCount = Math.max(1, Math.ceil((Math.max(...values) - start) / binWidth + 1e-9));
+        for (let i = 0; i < binCount; i++) {
+            valueBins.push({ label: `${(start + i * binWidth).toFixed(2)}–${(start + (i + 1) * binWidth).toFixed(2)}`, count: 0 });
+        }
+        values.forEach(value => {
+            valueBins[Math.min(binCount - 1, Math.floor((value - start) / binWidth + 1e-9))].count++;
+        });
+    }
+    
+    const hubs = Array.from(outDegree.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, STATS_TOP_HUBS);
+    
+    return {
+        nodeCount: nodes.size,
+        edgeCount: edges.length,
+        regulatorCount: outDegree.size,
+        targetCount: inDegree.size,
+        tfToTFEdges: tfToTFEdges,
+        reciprocalPairs: reciprocalPairs,
+        componentCount: sizes.length,
+        largestComponent: sizes.length > 0 ? sizes[0] : 0,
+        hubs: hubs,
+        outDegreeBins: outDegreeBins,
+        inDegreeBins: inDegreeBins,
+        valueBins: valueBins
+    };
+}
+
+// Name of a gene as written in np3-style files (common name, or CNAG_ ID if it has none)
+function getNp3Name(id, nameMap) {
+    const commonName = nameMap[id];
+    return commonName && commonName !== id ? commonName : `CNAG_${id}`;
+}
+
+// TSV of edge rows in the column layout of a network file
+// layout: { format ('np3' or 'sys-com'), extraColumns, isSigned, tfNames, geneNames },
+// where the name maps give the common name of each systematic ID
+function formatEdgesAsTSV(rows, layout) {
+    const lines = [];
+    
+    // SIGN (for signed networks) and extra columns from the network file follow the standard ones
+    const extraColumns = layout.isSigned ? ['SIGN', ...layout.extraColumns] : layout.extraColumns;
+    const extraValues = row => {
+        const extra = row.extra || {};
+        const values = layout.extraColumns.map(column => extra[column] || '');
+        if (layout.isSigned) {
+            values.unshift(row.SIGN === 1 ? '+' : row.SIGN === -1 ? '-' : '');
+        }
+        return values;
+    };
+    
+    if (layout.format === 'np3') {
+        lines.push(['', 'REGULATOR', 'TARGET', 'VALUE', ...extraColumns].join('\t'));
+        rows.forEach((row, index) => {
+            lines.push([
+                index + 1,
+                getNp3Name(row.REGULATOR, layout.tfNames),
+                getNp3Name(row.TARGET, layout.geneNames),
+                row.VALUE,
+                ...extraValues(row)
+            ].join('\t'));
+        });
+    } else {
+        lines.push([...NETWORK_FORMATS['sys-com'].requiredColumns, ...extraColumns].join('\t'));
+        rows.forEach(row => {
+            lines.push([
+                row.REGULATOR,
+                row.TARGET,
+                layout.tfNames[row.REGULATOR] || row.REGULATOR,
+                layout.geneNames[row.TARGET] || row.TARGET,
+                row.VALUE,
+                ...extraValues(row)
+            ].join('\t'));
+        });
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+// Under Node (the crypto-net command line tool) the same functions are exported as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NETWORK_FORMATS: NETWORK_FORMATS,
+        DEFAULT_MIN_CONFIDENCE: DEFAULT_MIN_CONFIDENCE,
+        PATH_STEP_COST: PATH_STEP_COST,
+        detectNetworkFormat: detectNetworkFormat,
+        normalizeSystematicName: normalizeSystematicName,
+        validateNetworkRows: validateNetworkRows,
+        computeNetworkChecksum: computeNetworkChecksum,
+        parseNetworkText: parseNetworkText,
+        getLowestConfidenceBound: getLowestConfidenceBound,
+        buildEdgeIndex: buildEdgeIndex,
+        countEdgesAtThreshold: countEdgesAtThreshold,
+        getIndexedEdges: getIndexedEdges,
+        getThresholdAdjacencyFromIndex: getThresholdAdjacencyFromIndex,
+        querySubnetwork: querySubnetwork,
+        estimateSubnetworkSize: estimateSubnetworkSize,
+        queryEdges: queryEdges,
+        getSignRowFilter: getSignRowFilter,
+        combineRowFilters: combineRowFilters,
+        hasRankCutoff: hasRankCutoff,
+        getRangeRowFilter: getRangeRowFilter,
+        addToNameIndex: addToNameIndex,
+        resolveNetworkId: resolveNetworkId,
+        findNeighborhood: findNeighborhood,
+        findCheapestPath: findCheapestPath,
+        findCheapestPaths: findCheapestPaths,
+        findPaths: findPaths,
+        getPathWeight: getPathWeight,
+        getCascadeSign: getCascadeSign,
+        getSignLabel: getSignLabel,
+        computeNetworkStatistics: computeNetworkStatistics,
+        getNp3Name: getNp3Name,
+        formatEdgesAsTSV: formatEdgesAsTSV
+    };
+}
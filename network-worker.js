@@ -0,0 +1,17 @@
+// Web Worker that parses and indexes network files off the UI thread
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.2/papaparse.min.js', 'network-data.js');
+
+// Messages carry an id so the page can match replies to requests
+// { type: 'parse', source, fileName, commonNames } -> { result, index }
+// { type: 'index', rows } -> { rows, index }
+self.onmessage = function(e) {
+    const message = e.data;
+    
+    if (message.type === 'parse') {
+        parseAndIndexNetwork(message.source, message.fileName, message.commonNames, function(result, index) {
+            self.postMessage({ id: message.id, result: result, index: index });
+        });
+    } else if (message.type === 'index') {
+        self.postMessage({ id: message.id, rows: message.rows, index: buildEdgeIndex(message.rows) });
+    }
+};
@@ -1,5 +1,6 @@
 // Global variables
 let networkData = [];
+let edgeIndex = null; // Confidence-sorted adjacency lists built by buildEdgeIndex()
 let tfSet = new Set();
 let geneSet = new Set();
 let cy = null;
@@ -11,12 +12,168 @@ let geneToCommonName = {}; // Maps systematic gene name to common name
 // Flag to track if large network warning is currently displayed
 let isLargeNetworkWarningVisible = false;
 
-// Special TFs with no edges in thresholded network
-const specialTFs = {
-    '03894': 'Pdr802',
-    '01242': 'HapX'
+// Network file loaded on startup
+const DEFAULT_NETWORK_FILE = 'net_np3_sys_com_100.tsv';
+
+// TFs perturbed for the default network, including those without edges in it
+const DEFAULT_TF_MANIFEST_FILE = 'tf_manifest.tsv';
+
+// Formats offered by the Export menu
+const EXPORT_FORMATS = {
+    'tsv': { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+    'sif': { extension: 'sif', mimeType: 'text/plain' },
+    'graphml': { extension: 'graphml', mimeType: 'application/xml' },
+    'cyjs': { extension: 'cyjs', mimeType: 'application/json' }
+};
+
+// Screen resolution that cy.png() renders at with scale 1
+const SCREEN_DPI = 96;
+
+// Largest number of hops offered by the neighborhood expansion menu
+const MAX_EXPANSION_HOPS = 5;
+
+// Named settings of the Confidence Filter: a confidence range plus optional rank cutoffs
+// (top targets per TF, top % of all edges); anything left out is reset to its widest value
+const CONFIDENCE_PRESETS = [
+    { id: 'published', label: 'Full network as published' },
+    { id: 'high', label: 'High confidence (0.50 and above)', minConfidence: 0.5 },
+    { id: 'medium', label: 'Medium confidence only (0.25–0.50)', minConfidence: 0.25, maxConfidence: 0.5 },
+    { id: 'top-10-per-tf', label: 'Top 10 targets per TF', topPerTF: 10 },
+    { id: 'top-25-per-tf', label: 'Top 25 targets per TF', topPerTF: 25 },
+    { id: 'top-1-percent', label: 'Top 1% of edges', topPercent: 1 },
+    { id: 'top-5-percent', label: 'Top 5% of edges', topPercent: 5 }
+];
+
+// Terms with an FDR at or below this are marked significant in the enrichment table
+const ENRICHMENT_FDR_CUTOFF = 0.05;
+
+// Colors for categorical edge columns, in order of how common each value is
+const EDGE_CATEGORY_COLORS = ['#2980b9', '#c0392b', '#27ae60', '#8e44ad', '#d35400', '#16a085', '#f39c12', '#2c3e50'];
+
+// Line styles for categorical edge columns (later categories stay solid)
+const EDGE_DASH_STYLES = ['solid', 'dashed', 'dotted'];
+
+// Module fill colors, by module rank (largest first); later modules share the last color
+const MODULE_COLORS = ['#1abc9c', '#f1c40f', '#9b59b6', '#e67e22', '#2ecc71', '#e84393',
+                       '#00cec9', '#fdcb6e', '#a29bfe', '#fab1a0', '#55efc4', '#dfe6e9'];
+
+// Modules smaller than this are not listed in the module panel
+const MIN_MODULE_SIZE = 3;
+
+// MCL keeps at most this many entries per column after each inflation step
+const MCL_MAX_COLUMN_ENTRIES = 50;
+
+// The target overlap panel compares at most this many TFs, and lists this many intersections
+const MAX_OVERLAP_TFS = 12;
+const MAX_OVERLAP_INTERSECTIONS = 25;
+
+// Maximum number of bad rows listed in the load report
+const MAX_REPORTED_PROBLEMS = 20;
+
+// Name and column layout of the currently loaded network
+let currentNetworkName = DEFAULT_NETWORK_FILE;
+let currentNetworkFormat = 'sys-com';
+let currentNetworkChecksum = null;
+
+// Additional TSV columns of the loaded network (kept per edge in row.extra)
+let extraEdgeColumns = [];
+
+// Whether the loaded network has activation/repression signs (row.SIGN)
+let isSignedNetwork = false;
+
+// Net signs from the last neighborhood expansion, shown in the node info panel
+let lastCascade = null;
+
+// Expression values (e.g. log2 fold changes) per gene: { fileName, conditions, values: Map(gene -> [value per condition]) }
+let expressionData = null;
+
+// Node fill colors at both ends of the diverging expression scale
+const EXPRESSION_LOW_COLOR = '#2166ac';
+const EXPRESSION_MID_COLOR = '#f7f7f7';
+const EXPRESSION_HIGH_COLOR = '#b2182b';
+
+// TFs shown with their targets while in the regulon overview
+let expandedRegulons = new Set();
+
+// Value summaries of extra columns used for styling, computed on first use
+let edgeColumnSummaries = new Map();
+
+// Maps upper-case common names to systematic names, kept across loads so
+// np3-style files (which only carry common names) can be resolved
+let commonNameToSystematic = {};
+
+// Differential comparison state: the original network (A) is kept aside while
+// networkData holds the merged A/B rows
+let isComparisonMode = false;
+let baseNetworkData = null;
+let baseEdgeIndex = null;
+let baseNetworkName = null;
+let comparisonNetworkName = null;
+
+// Worker that parses and indexes network files, with pending requests by id
+// Stays null (and work runs on the main thread) where workers are unavailable
+let networkWorker = null;
+let isNetworkWorkerUnavailable = false;
+let networkWorkerRequests = new Map();
+let nextNetworkWorkerRequestId = 1;
+
+// Layout used when rendering the network (part of the shareable view state)
+let currentLayoutName = 'cose';
+
+// Layouts offered by the layout selector
+const LAYOUTS = {
+    'cose': 'Force-directed (cose)',
+    'concentric': 'Concentric by degree',
+    'hierarchical': 'Hierarchical (TF → target)',
+    'circle': 'Circle',
+    'grid': 'Grid',
+    'bipartite': 'Bipartite (TFs left, targets right)'
 };
 
+// Last known position of every node shown so far (or loaded from a positions file), by node ID
+// Re-renders put nodes back where they were and only place new ones
+let nodePositions = new Map();
+
+// Nodes pinned in place by the user, and the layout the remembered positions came from
+let pinnedNodeIds = new Set();
+let positionsLayoutName = null;
+
+// URL hash state: a debounced writer and a flag set while a state is being applied
+let urlStateTimeout = null;
+let viewportUrlTimeout = null;
+let isApplyingUrlState = false;
+let hasRestoredUrlState = false;
+
+// TF manifest: { fileName, tfs: Map(ID -> common name), isDefault, unrecognized }, the default one only applies to the default network
+let tfManifest = null;
+
+// The downloaded default manifest, put back when a workspace without a manifest of its own is opened
+let defaultTFManifest = null;
+
+// Manifest TFs that have no edges at all in the loaded network
+let manifestOnlyTFs = new Set();
+
+// Upper-case common names to the systematic names using them, for the current network
+let nameIndex = new Map();
+
+// Undo/redo history of committed selection and filter states (snapshots like preLargeNetworkState)
+const MAX_HISTORY_STEPS = 100;
+let undoStack = [];
+let redoStack = [];
+let currentHistoryState = null;
+let historyTimeout = null;
+let isApplyingHistory = false;
+
+// Gene annotations from a loaded table: ID -> { aliases, description, words (lower-case description words) }
+let geneAnnotations = new Map();
+
+// Overlay files loaded by the user (kind -> { fileName, text }), kept as text so workspaces can store them
+let loadedOverlayFiles = new Map();
+
+// Checkbox elements by systematic name, for quick lookups when selecting programmatically
+let tfCheckboxes = new Map();
+let geneCheckboxes = new Map();
+
 // Maps to store selected items
 let selectedTFs = new Set();
 let selectedGenes = new Set();
@@ -24,7 +181,7 @@ let selectedGenes = new Set();
 // Variables for tracking network size and warnings
 let previousTFCount = 0;  // Track previous TF count for direction detection
 let previousGeneCount = 0;  // Track previous gene count for direction detection
-let previousConfidence = 0.14;  // Track previous confidence threshold - initialized to minimum value
+let previousConfidence = DEFAULT_MIN_CONFIDENCE;  // Track previous confidence threshold - initialized to minimum value
 
 // Store state before showing large network warning (for cancel restoration)
 let preLargeNetworkState = null;
@@ -86,8 +243,24 @@ const tfContainer = document.getElementById('transcription-factors');
 const geneContainer = document.getElementById('target-genes');
 const tfSearch = document.getElementById('tf-search');
 const geneSearch = document.getElementById('gene-search');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const geneAnnotationFileInput = document.getElementById('gene-annotation-file-input');
+const geneAnnotationInfo = document.getElementById('gene-annotation-info');
+const workspaceNameInput = document.getElementById('workspace-name');
+const workspaceList = document.getElementById('workspace-list');
+const workspaceNotes = document.getElementById('workspace-notes');
+const workspaceInfo = document.getElementById('workspace-info');
+const projectFileInput = document.getElementById('project-file-input');
 const confidenceSlider = document.getElementById('confidence-slider');
 const confidenceValue = document.getElementById('confidence-value');
+const confidenceMaxSlider = document.getElementById('confidence-max-slider');
+const confidenceMaxValue = document.getElementById('confidence-max-value');
+const confidenceRangeMin = document.getElementById('confidence-range-min');
+const confidencePresetSelect = document.getElementById('confidence-preset');
+const topPerTFInput = document.getElementById('top-per-tf');
+const topPercentInput = document.getElementById('top-percent');
+const rangeFilterInfo = document.getElementById('range-filter-info');
 const nodeInfo = document.getElementById('node-info');
 const nodeName = document.getElementById('node-name');
 const nodeType = document.getElementById('node-type');
@@ -96,6 +269,68 @@ const selectionInfo = document.getElementById('selection-info'); // Optional - m
 const noConnectionsMessage = document.getElementById('no-connections');
 const visualizeBtn = document.getElementById('visualize-btn');
 const networkInstructions = document.getElementById('network-instructions');
+const networkFileInput = document.getElementById('network-file-input');
+const tfManifestFileInput = document.getElementById('tf-manifest-file-input');
+const tfManifestInfo = document.getElementById('tf-manifest-info');
+const networkFileInfo = document.getElementById('network-file-info');
+const networkLoadReport = document.getElementById('network-load-report');
+const comparisonFileInput = document.getElementById('comparison-file-input');
+const comparisonInfo = document.getElementById('comparison-info');
+const comparisonLegend = document.getElementById('comparison-legend');
+const comparisonSummary = document.getElementById('comparison-summary');
+const stopComparisonBtn = document.getElementById('stop-comparison-btn');
+const exportFormatSelect = document.getElementById('export-format');
+const imageFormatSelect = document.getElementById('image-format');
+const imageDpiInput = document.getElementById('image-dpi');
+const imageExtentSelect = document.getElementById('image-extent');
+const imageLegendCheckbox = document.getElementById('image-legend');
+const imageCitationCheckbox = document.getElementById('image-citation');
+const nodeContextMenu = document.getElementById('node-context-menu');
+const contextMenuTitle = document.getElementById('context-menu-title');
+const contextHopsInput = document.getElementById('context-hops');
+const pathSourceInput = document.getElementById('path-source');
+const pathTargetInput = document.getElementById('path-target');
+const pathCountInput = document.getElementById('path-count');
+const pathResults = document.getElementById('path-results');
+const statsPanel = document.getElementById('stats-panel');
+const statsContent = document.getElementById('stats-content');
+const bulkInput = document.getElementById('bulk-input');
+const bulkFileInput = document.getElementById('bulk-file-input');
+const bulkMode = document.getElementById('bulk-mode');
+const bulkReplace = document.getElementById('bulk-replace');
+const bulkInfo = document.getElementById('bulk-info');
+const bulkReport = document.getElementById('bulk-report');
+const annotationFileInput = document.getElementById('annotation-file-input');
+const annotationInfo = document.getElementById('annotation-info');
+const enrichmentTFInput = document.getElementById('enrichment-tf');
+const layoutSelect = document.getElementById('layout-select');
+const positionsFileInput = document.getElementById('positions-file-input');
+const clusterMethodSelect = document.getElementById('cluster-method');
+const clusterScopeSelect = document.getElementById('cluster-scope');
+const mclInflationInput = document.getElementById('mcl-inflation');
+const modulesInfo = document.getElementById('modules-info');
+const modulesPanel = document.getElementById('modules-panel');
+const overlapPanel = document.getElementById('overlap-panel');
+const overlapSummary = document.getElementById('overlap-summary');
+const overlapHeatmap = document.getElementById('overlap-heatmap');
+const overlapUpset = document.getElementById('overlap-upset');
+const modulesList = document.getElementById('modules-list');
+const signFilterSelect = document.getElementById('sign-filter');
+const signLegend = document.getElementById('sign-legend');
+const regulonOverviewCheckbox = document.getElementById('regulon-overview');
+const regulonOverlapInput = document.getElementById('regulon-overlap-min');
+const expressionFileInput = document.getElementById('expression-file-input');
+const expressionInfo = document.getElementById('expression-info');
+const expressionConditionSelect = document.getElementById('expression-condition');
+const expressionFilterCheckbox = document.getElementById('expression-filter');
+const expressionCutoffInput = document.getElementById('expression-cutoff');
+const expressionLegend = document.getElementById('expression-legend');
+const edgeColorColumnSelect = document.getElementById('edge-color-column');
+const edgeDashColumnSelect = document.getElementById('edge-dash-column');
+const edgeStyleLegend = document.getElementById('edge-style-legend');
+const enrichmentPanel = document.getElementById('enrichment-panel');
+const enrichmentSummary = document.getElementById('enrichment-summary');
+const enrichmentResults = document.getElementById('enrichment-results');
 
 // Warning dialog elements
 const largeNetworkWarning = document.getElementById('large-network-warning');
@@ -111,6 +346,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Set up button event listeners
     document.getElementById('visualize-btn').addEventListener('click', visualizeNetwork);
     document.getElementById('reset-btn').addEventListener('click', resetVisualization);
+    undoBtn.addEventListener('click', undoStep);
+    redoBtn.addEventListener('click', redoStep);
     document.getElementById('fit-btn').addEventListener('click', fitNetworkView);
     document.getElementById('select-all-tf').addEventListener('click', () => selectAllCheckboxes(tfContainer, true, selectedTFs));
     document.getElementById('clear-all-tf').addEventListener('click', () => selectAllCheckboxes(tfContainer, false, selectedTFs));
@@ -156,8 +393,42 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Check if we have information about the last change that triggered the warning
         if (lastChangeInfo) {
+            // Revert a sign filter change
+            if (lastChangeInfo.isSignFilterChange) {
+                console.log('CANCEL: Sign filter change detected, reverting to', lastChangeInfo.previousValue);
+                signFilterSelect.value = lastChangeInfo.previousValue;
+                updateComparisonSummary();
+                updateStatisticsPanel();
+                lastChangeInfo = null;
+            }
+            // Revert a range, rank cutoff or preset change
+            else if (lastChangeInfo.isRangeFilterChange) {
+                console.log('CANCEL: Range filter change detected, reverting to', JSON.stringify(lastChangeInfo.previousValue));
+                applyRangeFilterState(lastChangeInfo.previousValue);
+                updateComparisonSummary();
+                updateStatisticsPanel();
+                lastChangeInfo = null;
+            }
+            // Revert switching between the regulon overview and the full network
+            else if (lastChangeInfo.isRegulonOverviewChange) {
+                console.log('CANCEL: Regulon overview change detected, reverting to', lastChangeInfo.previousValue);
+                regulonOverviewCheckbox.checked = lastChangeInfo.previousValue;
+                lastChangeInfo = null;
+            }
+            // Revert an expression filter change
+            else if (lastChangeInfo.isExpressionFilterChange) {
+                console.log('CANCEL: Expression filter change detected, reverting');
+                expressionFilterCheckbox.checked = lastChangeInfo.previousValue.isEnabled;
+                expressionCutoffInput.value = lastChangeInfo.previousValue.cutoff;
+                expressionConditionSelect.value = lastChangeInfo.previousValue.condition;
+                rememberExpressionFilterState();
+                applyExpressionColors();
+                updateComparisonSummary();
+                updateStatisticsPanel();
+                lastChangeInfo = null;
+            }
             // Check if this was a confidence slider change
-            if (lastChangeInfo.isConfidenceChange) {
+            else if (lastChangeInfo.isConfidenceChange) {
                 console.log('CANCEL: Confidence slider change detected, reverting from', 
                     confidenceSlider.value, 'to', lastChangeInfo.previousValue);
                 
@@ -166,6 +437,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 confidenceValue.textContent = lastChangeInfo.previousValue.toFixed(2);
                 previousConfidence = lastChangeInfo.previousValue;
                 
+                // The comparison summary follows the slider, so bring it back too
+                updateComparisonSummary();
+                
                 // Clear the last change info
                 lastChangeInfo = null;
             } else {
@@ -217,17 +491,214 @@ document.addEventListener('DOMContentLoaded', function() {
             // Clear the saved state
             preLargeNetworkState = null;
         }
+        
+        // The threshold or selection may have changed back
+        updateTFAvailability();
+    });
+    
+    // Set up network file loading (file picker and drag-and-drop onto the graph)
+    document.getElementById('open-network-btn').addEventListener('click', () => networkFileInput.click());
+    document.getElementById('default-network-btn').addEventListener('click', () => loadNetworkData(DEFAULT_NETWORK_FILE));
+    networkFileInput.addEventListener('change', () => {
+        if (networkFileInput.files.length > 0) {
+            loadNetworkData(networkFileInput.files[0]);
+        }
+        // Reset so that choosing the same file again still fires a change event
+        networkFileInput.value = '';
+    });
+    setupNetworkFileDrop();
+    
+    // Set up differential comparison against a second network file
+    document.getElementById('compare-network-btn').addEventListener('click', () => comparisonFileInput.click());
+    comparisonFileInput.addEventListener('change', () => {
+        if (comparisonFileInput.files.length > 0) {
+            loadComparisonNetwork(comparisonFileInput.files[0]);
+        }
+        comparisonFileInput.value = '';
+    });
+    stopComparisonBtn.addEventListener('click', stopComparison);
+    
+    // Set up export of the rendered network
+    document.getElementById('export-network-btn').addEventListener('click', () => exportNetwork(exportFormatSelect.value));
+    
+    // Set up image export of the graph
+    document.getElementById('export-image-btn').addEventListener('click', exportImage);
+    imageFormatSelect.addEventListener('change', updateImageExportOptions);
+    updateImageExportOptions();
+    
+    // Set up the node context menu actions
+    nodeContextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+        item.addEventListener('click', () => handleContextMenuAction(item.dataset.action));
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') hideNodeContextMenu();
+        
+        // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) step through the history, except while typing
+        const isTyping = e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea');
+        if ((e.ctrlKey || e.metaKey) && !isTyping) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undoStep();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redoStep();
+            }
+        }
+    });
+    
+    // Set up the path finder
+    document.getElementById('find-paths-btn').addEventListener('click', findPathsFromInputs);
+    
+    // Set up the statistics panel
+    document.getElementById('show-stats-btn').addEventListener('click', toggleStatisticsPanel);
+    document.getElementById('close-stats-btn').addEventListener('click', toggleStatisticsPanel);
+    statsPanel.querySelectorAll('.tab-btn').forEach(tab => {
+        tab.addEventListener('click', () => {
+            statisticsScope = tab.dataset.scope;
+            statsPanel.querySelectorAll('.tab-btn').forEach(other => other.classList.toggle('active', other === tab));
+            updateStatisticsPanel();
+        });
+    });
+    
+    // Set up the layout selector and position files
+    layoutSelect.addEventListener('change', () => changeLayout(layoutSelect.value));
+    document.getElementById('relayout-btn').addEventListener('click', () => {
+        if (isNetworkRendered) layoutNetwork(true);
+    });
+    document.getElementById('save-positions-btn').addEventListener('click', savePositionsFile);
+    document.getElementById('load-positions-btn').addEventListener('click', () => positionsFileInput.click());
+    positionsFileInput.addEventListener('change', () => {
+        if (positionsFileInput.files.length > 0) {
+            loadPositionsFile(positionsFileInput.files[0]);
+        }
+        positionsFileInput.value = '';
+    });
+    
+    // Set up the activation/repression filter
+    signFilterSelect.addEventListener('change', handleSignFilterChange);
+    
+    // Set up the upper confidence bound, rank cutoffs and presets of the Confidence Filter
+    populateConfidencePresets();
+    rememberRangeFilterState();
+    confidenceMaxSlider.addEventListener('input', () => {
+        // The upper handle cannot pass the lower one
+        if (parseFloat(confidenceMaxSlider.value) < parseFloat(confidenceSlider.value)) {
+            confidenceMaxSlider.value = confidenceSlider.value;
+        }
+        updateRangeFilterLabel();
+    });
+    [confidenceMaxSlider, topPerTFInput, topPercentInput].forEach(control => {
+        control.addEventListener('change', () => {
+            confidencePresetSelect.value = '';
+            handleRangeFilterChange();
+        });
+    });
+    confidencePresetSelect.addEventListener('change', () => applyConfidencePreset(confidencePresetSelect.value));
+    
+    // Set up the regulon overview
+    regulonOverviewCheckbox.addEventListener('change', () => {
+        console.log(`Regulon overview ${regulonOverviewCheckbox.checked ? 'on' : 'off'}`);
+        refreshForViewChange(regulonOverviewCheckbox.checked, {
+            isRegulonOverviewChange: true,
+            previousValue: !regulonOverviewCheckbox.checked
+        });
+    });
+    regulonOverlapInput.addEventListener('change', () => {
+        if (regulonOverviewCheckbox.checked) refreshForViewChange(false, null);
+    });
+    
+    // Set up the expression overlay
+    document.getElementById('load-expression-btn').addEventListener('click', () => expressionFileInput.click());
+    expressionFileInput.addEventListener('change', () => {
+        if (expressionFileInput.files.length > 0) {
+            loadExpressionFile(expressionFileInput.files[0]);
+        }
+        expressionFileInput.value = '';
+    });
+    expressionConditionSelect.addEventListener('change', handleExpressionFilterChange);
+    expressionFilterCheckbox.addEventListener('change', handleExpressionFilterChange);
+    expressionCutoffInput.addEventListener('change', handleExpressionFilterChange);
+    
+    // Set up edge styling by extra columns
+    edgeColorColumnSelect.addEventListener('change', applyEdgeStyling);
+    edgeDashColumnSelect.addEventListener('change', applyEdgeStyling);
+    
+    // Set up module detection
+    clusterMethodSelect.addEventListener('change', () => {
+        document.getElementById('mcl-options').style.display = clusterMethodSelect.value === 'mcl' ? 'block' : 'none';
+    });
+    document.getElementById('find-modules-btn').addEventListener('click', findModules);
+    document.getElementById('clear-modules-btn').addEventListener('click', clearModules);
+    document.getElementById('close-modules-btn').addEventListener('click', () => {
+        modulesPanel.style.display = 'none';
+    });
+    
+    // Set up the target overlap panel
+    document.getElementById('overlap-btn').addEventListener('click', showTargetOverlap);
+    document.getElementById('close-overlap-btn').addEventListener('click', () => {
+        overlapPanel.style.display = 'none';
+    });
+    
+    // Set up bulk selection from pasted or uploaded gene lists
+    document.getElementById('bulk-select-btn').addEventListener('click', () => importGeneList(bulkInput.value));
+    document.getElementById('bulk-file-btn').addEventListener('click', () => bulkFileInput.click());
+    bulkFileInput.addEventListener('change', () => {
+        if (bulkFileInput.files.length > 0) {
+            bulkFileInput.files[0].text().then(text => {
+                bulkInput.value = text;
+                importGeneList(text);
+            });
+        }
+        bulkFileInput.value = '';
+    });
+    
+    // Set up gene set enrichment against an uploaded annotation file
+    document.getElementById('load-annotation-btn').addEventListener('click', () => annotationFileInput.click());
+    annotationFileInput.addEventListener('change', () => {
+        if (annotationFileInput.files.length > 0) {
+            loadAnnotationFile(annotationFileInput.files[0]);
+        }
+        annotationFileInput.value = '';
+    });
+    document.getElementById('enrich-tf-btn').addEventListener('click', runTFTargetEnrichment);
+    document.getElementById('enrich-selection-btn').addEventListener('click', runSelectionEnrichment);
+    document.getElementById('close-enrichment-btn').addEventListener('click', () => {
+        enrichmentPanel.style.display = 'none';
+        clearEnrichmentHighlight();
+    });
+    
+    // Back/forward navigation steps through the views stored in the URL hash
+    window.addEventListener('popstate', () => {
+        console.log('URL: popstate, applying', location.hash);
+        applyViewStateFromUrl(false);
     });
     
     // Set up search functionality
     tfSearch.addEventListener('input', () => filterItems(tfContainer, tfSearch.value));
     geneSearch.addEventListener('input', () => filterItems(geneContainer, geneSearch.value));
     
+    // Set up gene annotations (aliases and descriptions) for search and the info panel
+    document.getElementById('load-gene-annotation-btn').addEventListener('click', () => geneAnnotationFileInput.click());
+    geneAnnotationFileInput.addEventListener('change', () => {
+        if (geneAnnotationFileInput.files.length > 0) {
+            loadGeneAnnotationFile(geneAnnotationFileInput.files[0]);
+        }
+        geneAnnotationFileInput.value = '';
+    });
+    
     // Variable to store the debounce timeout
     let confidenceSliderTimeout;
     
     // Set up confidence slider with debouncing
     confidenceSlider.addEventListener('input', function() {
+        // The lower handle cannot pass the upper one
+        if (parseFloat(this.value) > parseFloat(confidenceMaxSlider.value)) {
+            this.value = confidenceMaxSlider.value;
+        }
+        confidencePresetSelect.value = '';
+        rememberRangeFilterState();
+        
         // Update display value immediately (this is fast)
         const value = parseFloat(this.value).toFixed(2);
         confidenceValue.textContent = value;
@@ -243,6 +714,12 @@ document.addEventListener('DOMContentLoaded', function() {
         confidenceSliderTimeout = setTimeout(() => {
             console.log(`Debounced slider update: ${currentConfidence}`);
             
+            // Gains and losses depend on the threshold even when nothing is rendered
+            updateComparisonSummary();
+            updateStatisticsPanel();
+            refreshTargetOverlap();
+            updateTFAvailability();
+            
             // Check if the large network warning is currently visible
             if (isLargeNetworkWarningVisible) {
                 console.log('Confidence slider moved while warning is displayed - updating warning information');
@@ -289,10 +766,41 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Update previous confidence value
             previousConfidence = currentConfidence;
+            
+            // Record the new threshold in the URL even if nothing is rendered
+            scheduleUrlStateUpdate();
         }, 300); // 300ms delay for debouncing
     });
     
-    // Load network data
+    // Set up the TF manifest (perturbed TFs, listed even without edges)
+    document.getElementById('load-tf-manifest-btn').addEventListener('click', () => tfManifestFileInput.click());
+    tfManifestFileInput.addEventListener('change', () => {
+        if (tfManifestFileInput.files.length > 0) {
+            loadTFManifest(tfManifestFileInput.files[0]);
+        }
+        tfManifestFileInput.value = '';
+    });
+    
+    // Set up saved workspaces and project files
+    document.getElementById('save-workspace-btn').addEventListener('click', () => saveWorkspace(workspaceNameInput.value.trim()));
+    document.getElementById('open-workspace-btn').addEventListener('click', () => openWorkspace(workspaceList.value));
+    document.getElementById('delete-workspace-btn').addEventListener('click', () => deleteWorkspace(workspaceList.value));
+    workspaceList.addEventListener('change', () => {
+        workspaceNameInput.value = workspaceList.value;
+    });
+    document.getElementById('export-project-btn').addEventListener('click', exportProjectFile);
+    document.getElementById('import-project-btn').addEventListener('click', () => projectFileInput.click());
+    projectFileInput.addEventListener('change', () => {
+        if (projectFileInput.files.length > 0) {
+            const file = projectFileInput.files[0];
+            readTextFile(file, text => importProjectFile(text, file.name));
+        }
+        projectFileInput.value = '';
+    });
+    refreshWorkspaceList();
+    
+    // Load network data and the TF manifest that goes with it
+    loadTFManifest(DEFAULT_TF_MANIFEST_FILE);
     loadNetworkData();
 });
 
@@ -360,11 +868,14 @@ function selectAllCheckboxes(container, isChecked, selectedSet) {
                 checkAndVisualizeNetwork();
             } else {
                 // Removing items is always safe to proceed
+                preLargeNetworkState = null;
                 visualizeNetwork();
             }
         } else {
             // If no valid selections, clear the visualization
             console.log('Clearing visualization after selecting all');
+            // Nothing is drawn, so there is nothing to warn about (or restore on Cancel)
+            preLargeNetworkState = null;
             cy.elements().remove();
             // Show the no-connections message
             noConnectionsMessage.style.display = 'flex';
@@ -373,12 +884,16 @@ function selectAllCheckboxes(container, isChecked, selectedSet) {
             if (noConnectionsTitle) {
                 noConnectionsTitle.textContent = 'Select at least one TF and one target gene';
             }
+            scheduleUrlStateUpdate();
         }
     }
     
     // Update previous counts for next time
     previousTFCount = selectedTFs.size;
     previousGeneCount = selectedGenes.size;
+    
+    // Cleared TFs without targets at this threshold become unavailable again
+    updateTFAvailability();
 }
 
 // Helper function to filter items based on search input
@@ -395,28 +910,39 @@ function filterItems(container, searchText) {
         container.removeChild(existingMessage);
     }
     
-    // If search is empty, show all items
+    // If search is empty, show all items in their original order
     if (lowerSearch === '') {
         items.forEach(item => {
             item.style.display = '';
+            clearSearchHighlight(item);
         });
+        Array.from(items)
+            .sort((a, b) => Number(a.dataset.order) - Number(b.dataset.order))
+            .forEach(item => container.appendChild(item));
         return;
     }
     
-    // Filter items based on search text
+    // Match names, aliases and descriptions, then list exact matches first and typo matches last
+    const matches = [];
     items.forEach(item => {
         const checkbox = item.querySelector('input[type="checkbox"]');
-        const commonName = checkbox.dataset.common;
-        const systematicName = checkbox.dataset.systematic;
+        const match = getSearchMatch(checkbox, lowerSearch);
         
-        if (commonName.includes(lowerSearch) || systematicName.includes(lowerSearch)) {
+        clearSearchHighlight(item);
+        if (match) {
             item.style.display = '';
+            highlightSearchMatch(item, match);
+            matches.push({ item: item, rank: match.rank });
             anyVisible = true;
         } else {
             item.style.display = 'none';
         }
     });
     
+    matches
+        .sort((a, b) => a.rank - b.rank || Number(a.item.dataset.order) - Number(b.item.dataset.order))
+        .forEach(match => container.appendChild(match.item));
+    
     console.log(`Search for "${searchText}" found matches: ${anyVisible}`);
     
     // If no items match the search, display a message
@@ -548,6 +1074,7 @@ function handleCheckboxChange(checkbox, selectedSet) {
             if (noConnectionsTitle) {
                 noConnectionsTitle.textContent = 'Select at least one TF and one target gene';
             }
+            scheduleUrlStateUpdate();
         }
     }
     
@@ -556,41 +1083,253 @@ function handleCheckboxChange(checkbox, selectedSet) {
     previousGeneCount = currentGeneCount;
 }
 
-// Load the network data from the TSV file
-function loadNetworkData() {
-    console.log('Loading network data...');
+// Load the network data from a TSV file (a URL or a user-supplied File)
+function loadNetworkData(source = DEFAULT_NETWORK_FILE) {
+    const isUpload = typeof source !== 'string';
+    const fileName = isUpload ? source.name : source;
+    console.log('Loading network data from', fileName);
     
     // Show loading indicator
     loading.style.display = 'flex';
-    loadingText.textContent = 'Loading network data...';
+    loadingText.textContent = `Loading ${fileName}...`;
     
-    // Parse the TSV file using PapaParse
-    Papa.parse('net_np3_sys_com_100.tsv', {
-        download: true,
-        delimiter: '\t',
-        header: true,
-        skipEmptyLines: true,
-        complete: function(results) {
-            console.log('Data loaded successfully:', results.data.length, 'rows');
-            
-            // Process the data
-            processNetworkData(results.data);
-        },
-        error: function(error) {
-            console.error('Error loading data:', error);
-            alert('Error loading network data. Make sure you are running this from a web server. See the console for details.');
+    parseNetworkFile(source, function(result, index) {
+        if (result.fatalError) {
+            console.error('Error loading network file:', result.fatalError);
+            showNetworkLoadReport(result);
             loading.style.display = 'none';
+            
+            if (isUpload) {
+                alert(`Could not load ${fileName}: ${result.fatalError}`);
+            } else {
+                alert('Error loading network data. Make sure you are running this from a web server. See the console for details.');
+            }
+            return;
+        }
+        
+        console.log('Data loaded successfully:', result.rows.length, 'rows', `(${result.problems.length} skipped)`);
+        
+        currentNetworkName = fileName;
+        currentNetworkFormat = result.format;
+        currentNetworkChecksum = result.checksum;
+        extraEdgeColumns = result.extraColumns;
+        isSignedNetwork = result.isSigned;
+        showNetworkLoadReport(result);
+        
+        // A freshly loaded network replaces any comparison in progress
+        endComparisonMode();
+        
+        // Process the data
+        processNetworkData(result.rows, index);
+        updateEdgeStyleControls();
+        updateSignFilterControls();
+    });
+}
+
+// Parse and index a network TSV (URL or File), in the worker when one is available
+// onParsed receives the load result and the edge index
+function parseNetworkFile(source, onParsed) {
+    const fileName = typeof source !== 'string' ? source.name : source;
+    
+    sendToNetworkWorker(
+        { type: 'parse', source: source, fileName: fileName, commonNames: commonNameToSystematic },
+        reply => onParsed(reply.result, reply.index),
+        () => parseAndIndexNetwork(source, fileName, commonNameToSystematic, onParsed)
+    );
+}
+
+// Index rows that were built on the page (e.g. merged comparison rows)
+// onIndexed receives the rows as seen by the index and the index itself
+function indexNetworkRows(rows, onIndexed) {
+    sendToNetworkWorker(
+        { type: 'index', rows: rows },
+        reply => onIndexed(reply.rows, reply.index),
+        () => onIndexed(rows, buildEdgeIndex(rows))
+    );
+}
+
+// Start the parsing worker on first use, or return null if workers cannot be used
+function getNetworkWorker() {
+    if (networkWorker || isNetworkWorkerUnavailable) return networkWorker;
+    
+    if (typeof Worker === 'undefined') {
+        console.log('Web Workers are not available, parsing on the main thread');
+        isNetworkWorkerUnavailable = true;
+        return null;
+    }
+    
+    try {
+        networkWorker = new Worker('network-worker.js');
+    } catch (error) {
+        console.log('Could not start the network worker, parsing on the main thread:', error);
+        isNetworkWorkerUnavailable = true;
+        return null;
+    }
+    
+    networkWorker.onmessage = function(e) {
+        const request = networkWorkerRequests.get(e.data.id);
+        if (!request) return;
+        networkWorkerRequests.delete(e.data.id);
+        request.onReply(e.data);
+    };
+    
+    // If the worker fails (e.g. its scripts cannot be loaded) finish everything on the main thread
+    networkWorker.onerror = function(e) {
+        console.error('Network worker failed, parsing on the main thread:', e.message);
+        networkWorker.terminate();
+        networkWorker = null;
+        isNetworkWorkerUnavailable = true;
+        
+        const pending = Array.from(networkWorkerRequests.values());
+        networkWorkerRequests.clear();
+        pending.forEach(request => request.fallback());
+    };
+    
+    return networkWorker;
+}
+
+// Send a task to the worker, or run the fallback directly when there is no worker
+function sendToNetworkWorker(message, onReply, fallback) {
+    const worker = getNetworkWorker();
+    if (!worker) {
+        fallback();
+        return;
+    }
+    
+    const id = nextNetworkWorkerRequestId++;
+    networkWorkerRequests.set(id, { onReply: onReply, fallback: fallback });
+    worker.postMessage(Object.assign({ id: id }, message));
+}
+
+// Record a common name -> systematic name mapping, marking names used by several genes
+function rememberCommonName(commonName, systematicName) {
+    if (!commonName || commonName === systematicName) return;
+    
+    const key = commonName.toUpperCase();
+    if (!commonNameToSystematic.hasOwnProperty(key)) {
+        commonNameToSystematic[key] = systematicName;
+    } else if (commonNameToSystematic[key] !== systematicName) {
+        commonNameToSystematic[key] = null;
+    }
+}
+
+// Show the result of the last load (file name, edge count and any bad rows)
+function showNetworkLoadReport(result) {
+    if (!result.fatalError) {
+        networkFileInfo.textContent = `${result.fileName}: ${result.rows.length} edges (${NETWORK_FORMATS[result.format].label})`;
+    }
+    
+    networkLoadReport.innerHTML = '';
+    if (!result.fatalError && result.problems.length === 0) {
+        networkLoadReport.style.display = 'none';
+        return;
+    }
+    
+    const summary = document.createElement('div');
+    summary.className = 'load-report-summary';
+    if (result.fatalError) {
+        summary.textContent = `${result.fileName} was not loaded: ${result.fatalError}`;
+    } else {
+        summary.textContent = `Skipped ${result.problems.length} bad row(s):`;
+    }
+    networkLoadReport.appendChild(summary);
+    
+    if (result.problems.length > 0) {
+        const list = document.createElement('ul');
+        result.problems.slice(0, MAX_REPORTED_PROBLEMS).forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = `Line ${problem.line}: ${problem.message}`;
+            list.appendChild(item);
+        });
+        if (result.problems.length > MAX_REPORTED_PROBLEMS) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${result.problems.length - MAX_REPORTED_PROBLEMS} more`;
+            list.appendChild(more);
+        }
+        networkLoadReport.appendChild(list);
+    }
+    
+    networkLoadReport.style.display = 'block';
+}
+
+// Allow a network file to be dropped onto the graph area
+function setupNetworkFileDrop() {
+    const networkContainer = document.getElementById('network-container');
+    const cyContainer = document.getElementById('cy');
+    
+    networkContainer.addEventListener('dragover', function(e) {
+        // Only react to files, not to text or elements dragged around the page
+        if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            cyContainer.classList.add('drag-over');
+        }
+    });
+    
+    networkContainer.addEventListener('dragleave', function(e) {
+        if (!networkContainer.contains(e.relatedTarget)) {
+            cyContainer.classList.remove('drag-over');
         }
     });
+    
+    networkContainer.addEventListener('drop', function(e) {
+        cyContainer.classList.remove('drag-over');
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+        
+        e.preventDefault();
+        console.log('Network file dropped:', e.dataTransfer.files[0].name);
+        loadNetworkData(e.dataTransfer.files[0]);
+    });
+}
+
+// Clear data and selections left over from a previously loaded network
+function resetNetworkState() {
+    tfSet = new Set();
+    geneSet = new Set();
+    tfToCommonName = {};
+    geneToCommonName = {};
+    
+    selectedTFs.clear();
+    selectedGenes.clear();
+    preLargeNetworkState = null;
+    lastChangeInfo = null;
+    previousTFCount = 0;
+    previousGeneCount = 0;
+    
+    if (cy) {
+        cy.elements().remove();
+    }
+    isNetworkRendered = false;
+    clearNodePositions();
+    clearModules();
+    
+    // Hide overlays that refer to the old network
+    nodeInfo.style.display = 'none';
+    noConnectionsMessage.style.display = 'none';
+    largeNetworkWarning.style.display = 'none';
+    isLargeNetworkWarningVisible = false;
+    
+    tfSearch.value = '';
+    geneSearch.value = '';
+    
+    // Steps refer to IDs of the old network
+    resetHistory();
 }
 
-// Process the loaded network data
-function processNetworkData(data) {
+// Process the loaded network data and its edge index
+function processNetworkData(data, index) {
     console.log('Processing network data...');
     loadingText.textContent = 'Processing network data...';
     
+    // Drop anything left over from a previously loaded network
+    resetNetworkState();
+    
     // Store the network data
     networkData = data;
+    edgeIndex = index;
+    edgeColumnSummaries = new Map();
+    lastCascade = null;
+    expandedRegulons = new Set();
     
     // Extract unique transcription factors and target genes
     data.forEach(row => {
@@ -607,16 +1346,20 @@ function processNetworkData(data) {
             if (row['TARGET-COM']) {
                 geneToCommonName[row.TARGET] = row['TARGET-COM'];
             }
+            
+            // Remember real common names for resolving np3-style files later
+            rememberCommonName(row['REGULATOR-COM'], row.REGULATOR);
+            rememberCommonName(row['TARGET-COM'], row.TARGET);
         }
     });
     
-    // Add special TFs (Pdr802 and HapX) that aren't in the network
-    for (const [sysName, commonName] of Object.entries(specialTFs)) {
-        tfSet.add(sysName);
-        tfToCommonName[sysName] = commonName;
-    }
+    // Perturbed TFs from the manifest are listed even when they have no edges in this network
+    addManifestTFs();
+    
+    console.log(`Found ${tfSet.size} transcription factors (${manifestOnlyTFs.size} only in the TF manifest) and ${geneSet.size} target genes`);
     
-    console.log(`Found ${tfSet.size} transcription factors (including special TFs) and ${geneSet.size} target genes`);
+    // The sliders have to reach every edge of this network before the TF list counts targets
+    updateConfidenceSliderRange(getLowestConfidenceBound(data));
     
     // Debug: Show a sample of TF common names
     console.log("Sample of TF mappings (systematic -> common):", 
@@ -625,77 +1368,13 @@ function processNetworkData(data) {
     // Fill select elements with options
     loadingText.textContent = 'Populating menus...';
     
-    // Clear and populate the transcription factors with checkboxes
-    tfContainer.innerHTML = '';
-    
-    // Sort TFs by common name (if available) or systematic name
-    Array.from(tfSet).sort((a, b) => {
-        // Get common names for comparison, falling back to systematic names if needed
-        const aName = (tfToCommonName[a] || a).toLowerCase();
-        const bName = (tfToCommonName[b] || b).toLowerCase();
-        return aName.localeCompare(bName);
-    }).forEach(tf => {
-        const item = document.createElement('div');
-        item.className = 'checkbox-item';
-        
-        // Check if this is one of our special TFs
-        const isSpecialTF = specialTFs.hasOwnProperty(tf);
-        
-        // Add special styling for special TFs
-        if (isSpecialTF) {
-            item.style.display = 'block'; // Block instead of flex to match other TFs
-            item.style.backgroundColor = '#f0f8ff'; // Light blue background
-            item.style.padding = '5px';
-            item.style.border = '1px solid #ccc';
-            item.style.borderRadius = '4px';
-            item.style.marginBottom = '5px';
-        }
-        
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.value = tf;
-        
-        let commonName = tfToCommonName[tf] || tf;
-        // Format common name with first letter capital, rest lowercase
-        commonName = commonName.charAt(0).toUpperCase() + commonName.slice(1).toLowerCase();
-        
-        checkbox.dataset.common = commonName.toLowerCase();
-        checkbox.dataset.systematic = tf.toLowerCase();
-        
-        // Disable checkbox for special TFs
-        if (isSpecialTF) {
-            checkbox.disabled = true;
-            checkbox.title = "This TF has no connections in the network";
-        } else {
-            checkbox.addEventListener('change', () => handleCheckboxChange(checkbox, selectedTFs));
-        }
-        
-        // Create label (same for all TFs)
-        const label = document.createElement('label');
-        // Only show systematic name in parentheses if it's different from common name
-        label.textContent = commonName !== tf ? `${commonName} (${tf})` : commonName;
-        
-        // Standard layout for all TFs 
-        item.appendChild(checkbox);
-        item.appendChild(label);
-        
-        // Add message for special TFs
-        if (isSpecialTF) {
-            const message = document.createElement('div');
-            message.style.fontSize = '12px';
-            message.style.color = '#666';
-            message.style.fontStyle = 'italic';
-            message.style.marginTop = '2px';
-            message.style.marginLeft = '22px'; // Align to match standard indentation
-            message.textContent = "has no targets with confidence scores above the minimum display.";
-            item.appendChild(message);
-        }
-        
-        tfContainer.appendChild(item);
-    });
+    // Populate the transcription factors with checkboxes and their target counts
+    populateTFList();
+    updateTFAvailability();
     
     // Clear and populate the target genes with checkboxes
     geneContainer.innerHTML = '';
+    geneCheckboxes = new Map();
     
     // Sort genes by common name (if available) or systematic name
     Array.from(geneSet).sort((a, b) => {
@@ -703,9 +1382,10 @@ function processNetworkData(data) {
         const aName = (geneToCommonName[a] || a).toLowerCase();
         const bName = (geneToCommonName[b] || b).toLowerCase();
         return aName.localeCompare(bName);
-    }).forEach(gene => {
+    }).forEach((gene, order) => {
         const item = document.createElement('div');
         item.className = 'checkbox-item';
+        item.dataset.order = order;
         
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
@@ -714,6 +1394,7 @@ function processNetworkData(data) {
         const commonName = geneToCommonName[gene] || gene;
         checkbox.dataset.common = commonName.toLowerCase();
         checkbox.dataset.systematic = gene.toLowerCase();
+        geneCheckboxes.set(gene, checkbox);
         
         checkbox.addEventListener('change', () => handleCheckboxChange(checkbox, selectedGenes));
         
@@ -728,15 +1409,32 @@ function processNetworkData(data) {
         geneContainer.appendChild(item);
     });
     
-    // Initialize Cytoscape
-    loadingText.textContent = 'Initializing visualization...';
-    initCytoscape();
+    // Index names and fill the path finder suggestions
+    buildNameIndex();
+    populatePathFinderOptions();
+    
+    // Initialize Cytoscape (only once, later loads reuse the same instance)
+    if (!cy) {
+        loadingText.textContent = 'Initializing visualization...';
+        initCytoscape();
+    }
+    
+    // Show the instructions again for the freshly loaded network
+    updateInstructionVisibility();
     
     // Initialize the visualize button state (disabled by default since no selections)
     updateVisualizeButtonState();
     
     // Hide loading indicator
     loading.style.display = 'none';
+    
+    // Restore a shared view from the URL once, after the first network has loaded
+    if (!hasRestoredUrlState) {
+        hasRestoredUrlState = true;
+        applyViewStateFromUrl(true);
+    } else {
+        scheduleUrlStateUpdate();
+    }
 }
 
 // Initialize the Cytoscape instance
@@ -789,6 +1487,19 @@ function initCytoscape() {
                     'font-style': 'italic'
                 }
             },
+            // Fill nodes with the color of the module they were assigned to
+            {
+                selector: 'node[moduleColor]',
+                style: {
+                    'background-color': 'data(moduleColor)'
+                }
+            },
+            {
+                selector: 'node[expressionColor]',
+                style: {
+                    'background-color': 'data(expressionColor)'
+                }
+            },
             {
                 selector: 'edge',
                 style: {
@@ -800,7 +1511,110 @@ function initCytoscape() {
                     'opacity': 'data(opacity)'
                 }
             },
-            // Styles for selected nodes
+            // Styles for differential comparison edges
+            {
+                selector: 'edge[overlap]',
+                style: {
+                    'line-color': '#95a5a6',
+                    'line-style': 'dashed',
+                    'target-arrow-shape': 'none',
+                    'curve-style': 'bezier'
+                }
+            },
+            {
+                selector: 'edge[sign="activation"]',
+                style: {
+                    'line-color': '#27ae60',
+                    'target-arrow-color': '#27ae60',
+                    'target-arrow-shape': 'triangle'
+                }
+            },
+            {
+                selector: 'edge[sign="repression"]',
+                style: {
+                    'line-color': '#c0392b',
+                    'target-arrow-color': '#c0392b',
+                    'target-arrow-shape': 'tee'
+                }
+            },
+            {
+                selector: 'edge[diffStatus="A"]',
+                style: {
+                    'line-color': '#e67e22', // Only in network A (lost)
+                    'target-arrow-color': '#e67e22'
+                }
+            },
+            {
+                selector: 'edge[diffStatus="B"]',
+                style: {
+                    'line-color': '#27ae60', // Only in network B (gained)
+                    'target-arrow-color': '#27ae60'
+                }
+            },
+            {
+                selector: 'edge[diffStatus="both"]',
+                style: {
+                    'line-color': '#7f8c8d',
+                    'target-arrow-color': '#7f8c8d',
+                    'label': 'data(deltaLabel)', // Show the VALUE change on shared edges
+                    'font-size': '8px',
+                    'color': '#555',
+                    'text-rotation': 'autorotate',
+                    'text-background-color': '#fff',
+                    'text-background-opacity': 0.8,
+                    'text-background-padding': '1px'
+                }
+            },
+            // Styles for a path chosen in the path finder
+            // Edge color and line style chosen from extra columns
+            {
+                selector: 'edge[styleColor]',
+                style: {
+                    'line-color': 'data(styleColor)',
+                    'target-arrow-color': 'data(styleColor)'
+                }
+            },
+            {
+                selector: 'edge[styleDash]',
+                style: {
+                    'line-style': 'data(styleDash)'
+                }
+            },
+            {
+                selector: 'node.path-highlight',
+                style: {
+                    'border-width': 5
+                }
+            },
+            {
+                selector: 'edge.path-highlight',
+                style: {
+                    'line-color': '#8e44ad',
+                    'target-arrow-color': '#8e44ad',
+                    'width': 4,
+                    'opacity': 1
+                }
+            },
+            // Members of an enrichment term picked in the results table
+            {
+                selector: 'node.enrichment-highlight',
+                style: {
+                    'underlay-color': '#16a085',
+                    'underlay-padding': 8,
+                    'underlay-opacity': 0.45,
+                    'underlay-shape': 'ellipse'
+                }
+            },
+            // Nodes pinned in place by the user
+            {
+                selector: 'node.pinned',
+                style: {
+                    'border-style': 'double',
+                    'border-width': 6,
+                    'border-color': '#2c3e50'
+                }
+            },
+            // Styles for selected nodes
             {
                 selector: 'node:selected',
                 style: {
@@ -823,6 +1637,16 @@ function initCytoscape() {
         selectionType: 'additive'
     });
     
+    // Keep the current view statistics in step with whatever is drawn
+    cy.on('add remove', function() {
+        scheduleStatisticsUpdate();
+    });
+    
+    // Keep pan/zoom in the URL without adding a history entry for every scroll
+    cy.on('viewport', function() {
+        scheduleViewportUrlUpdate();
+    });
+    
     // Enable dragging of nodes - when nodes are selected, they move together
     cy.on('grab', 'node', function(e) {
         updateSelectionInfo();
@@ -857,10 +1681,13 @@ function initCytoscape() {
         }
         
         // Count connections
-        const outgoing = node.outgoers('edge').length;
-        const incoming = node.incomers('edge').length;
+        const outgoing = node.outgoers('edge[confidence]').length;
+        const incoming = node.incomers('edge[confidence]').length;
         
-        if (node.data('nodeType') === 'TF') {
+        if (node.data('targetCount') !== undefined) {
+            const isExpanded = expandedRegulons.has(node.id());
+            nodeConnections.textContent = `Regulon of ${node.data('targetCount')} targets (double-click to ${isExpanded ? 'collapse' : 'expand'})`;
+        } else if (node.data('nodeType') === 'TF') {
             nodeConnections.textContent = `Regulates ${outgoing} genes`;
         } else if (node.data('nodeType') === 'TF-target') {
             nodeConnections.textContent = `Regulates ${outgoing} genes / Regulated by ${incoming} transcription factors`;
@@ -868,28 +1695,81 @@ function initCytoscape() {
             nodeConnections.textContent = `Regulated by ${incoming} transcription factors`;
         }
         
+        // Aliases and product description from the gene annotation table
+        const annotation = geneAnnotations.get(node.id());
+        if (annotation) {
+            if (annotation.aliases.length > 0) {
+                nodeConnections.innerHTML += `<br>Aliases: ${escapeHtml(annotation.aliases.join(', '))}`;
+            }
+            if (annotation.description) {
+                nodeConnections.innerHTML += `<br><em>${escapeHtml(annotation.description)}</em>`;
+            }
+        }
+        
+        // Expression value in the selected condition
+        const expressionText = describeNodeExpression(node.id());
+        if (expressionText) {
+            nodeConnections.innerHTML += `<br>${escapeHtml(expressionText)}`;
+        }
+        
+        // Net effect along the last expanded cascade
+        const cascadeText = describeCascadeSign(node.id());
+        if (cascadeText) {
+            nodeConnections.innerHTML += `<br>${escapeHtml(cascadeText)}`;
+        }
+        
         // Show the info panel
         nodeInfo.style.display = 'block';
     });
     
+    // Double-clicking a TF in the regulon overview expands or collapses its targets
+    cy.on('dbltap', 'node[targetCount]', function(evt) {
+        toggleRegulon(evt.target.id());
+    });
+    
     // Add click event for edges to show info
     cy.on('tap', 'edge', function(evt) {
         const edge = evt.target;
         const sourceNode = edge.source();
         const targetNode = edge.target();
+        
+        // Shared targets of two TFs in the regulon overview
+        if (edge.data('overlap') !== undefined) {
+            nodeName.textContent = `${sourceNode.data('name')} – ${targetNode.data('name')}`;
+            nodeType.textContent = 'Shared Targets';
+            nodeConnections.textContent = `${edge.data('sharedCount')} shared targets (Jaccard ${edge.data('overlap').toFixed(3)})`;
+            nodeInfo.style.display = 'block';
+            return;
+        }
+        
         const confidence = edge.data('confidence').toFixed(3);
         
         // Get common names for the source and target
         const sourceName = sourceNode.data('name');
         const targetName = targetNode.data('name');
         
-        // Display edge information with common names
-        nodeName.textContent = `${sourceName} → ${targetName}`;
+        // Display edge information with common names (from the network file, so escaped);
+        // the target gene name is italic
+        nodeName.innerHTML = `${escapeHtml(sourceName)} → <i>${escapeHtml(targetName)}</i>`;
         nodeType.textContent = 'Regulatory Relationship';
         nodeConnections.textContent = `Confidence: ${confidence}`;
+        if (edge.data('sign')) {
+            nodeConnections.textContent += ` (${edge.data('sign')})`;
+        }
+        
+        // In comparison mode show the confidence from both networks
+        if (edge.data('diffStatus')) {
+            nodeConnections.innerHTML = formatComparisonConfidence(edge);
+        }
         
-        // Style the edge information text - target gene name should be italic
-        nodeName.innerHTML = `${sourceName} → <i>${targetName}</i>`;
+        // Any extra columns from the network file
+        const extra = edge.data('extra');
+        if (extra) {
+            nodeConnections.innerHTML += extraEdgeColumns
+                .filter(column => extra.hasOwnProperty(column))
+                .map(column => `<br>${escapeHtml(column)}: ${escapeHtml(extra[column])}`)
+                .join('');
+        }
         
         // Show the info panel
         nodeInfo.style.display = 'block';
@@ -897,6 +1777,9 @@ function initCytoscape() {
     
     // Hide info panel and clear visual node selections when clicking on background
     cy.on('tap', function(evt) {
+        // Any click outside the context menu closes it
+        hideNodeContextMenu();
+        
         if (evt.target === cy) {
             nodeInfo.style.display = 'none';
             // Only clear visual node selections in the network, keep checkboxes and network intact
@@ -904,6 +1787,20 @@ function initCytoscape() {
         }
     });
     
+    // Right-click (or two-finger tap) on a node opens the neighborhood menu
+    cy.on('cxttap', 'node', function(evt) {
+        showNodeContextMenu(evt.target, evt.renderedPosition);
+    });
+    
+    cy.on('cxttap', function(evt) {
+        if (evt.target === cy) hideNodeContextMenu();
+    });
+    
+    // The menu position is only valid for the current viewport
+    cy.on('viewport', function() {
+        hideNodeContextMenu();
+    });
+    
     // Update selection info on selection changes
     cy.on('select', function() {
         updateSelectionInfo();
@@ -940,6 +1837,7 @@ function initCytoscape() {
                 requestAnimationFrame(() => {
                     tfNode.unselect();
                     console.log('Deselected complete group: TF and', targetNodes.length, 'target nodes');
+                    scheduleHistoryRecord();
                 });
             } else {
                 // If the complete group is not selected, select TF and all its targets
@@ -947,6 +1845,7 @@ function initCytoscape() {
                 requestAnimationFrame(() => {
                     tfNode.select();
                     console.log('Selected complete group: TF and', targetNodes.length, 'target nodes');
+                    scheduleHistoryRecord();
                 });
             }
         }
@@ -956,54 +1855,22 @@ function initCytoscape() {
 
 // Function to calculate potential network size and check if it's large
 function calculateNetworkSize() {
-    // Use Sets directly for O(1) lookups instead of Arrays with O(n) includes() method
-    const selectedTFsSet = selectedTFs; // Already a Set, no need to convert
-    const selectedGenesSet = selectedGenes; // Already a Set, no need to convert
-    const minConfidence = parseFloat(confidenceSlider.value);
-    
-    let potentialNodeCount = 0;
-    let potentialEdgeCount = 0;
-    const uniqueNodes = new Set();
+    const minConfidence = getMinConfidence();
     
-    console.log(`Calculating network size with ${selectedTFsSet.size} TFs and ${selectedGenesSet.size} genes at confidence >= ${minConfidence}`);
+    console.log(`Calculating network size with ${selectedTFs.size} TFs and ${selectedGenes.size} genes at confidence >= ${minConfidence}`);
     
-    // Count potential nodes and edges based on current selections and confidence
-    networkData.forEach(row => {
-        const tf = row.REGULATOR;
-        const gene = row.TARGET;
-        const value = parseFloat(row.VALUE);
-        
-        // Skip invalid entries
-        if (!tf || !gene || isNaN(value)) return;
-        
-        // Filter by confidence value
-        if (value < minConfidence) return;
-        
-        // Check if this connection would be included in the visualization
-        // Using Set.has() (O(1)) instead of Array.includes() (O(n))
-        if (selectedTFsSet.has(tf) && selectedGenesSet.has(gene)) {
-            // Count unique nodes
-            if (!uniqueNodes.has(tf)) {
-                uniqueNodes.add(tf);
-                potentialNodeCount++;
-            }
-            if (!uniqueNodes.has(gene)) {
-                uniqueNodes.add(gene);
-                potentialNodeCount++;
-            }
-            
-            // Count edges
-            potentialEdgeCount++;
-        }
-    });
+    // Query the edge index instead of scanning every row
+    const size = regulonOverviewCheckbox.checked
+        ? estimateRegulonOverviewSize(minConfidence)
+        : estimateSubnetworkSize(edgeIndex, selectedTFs, selectedGenes, minConfidence, getEdgeRowFilter());
     
-    console.log(`Potential network size: ${potentialNodeCount} nodes, ${potentialEdgeCount} edges`);
+    console.log(`Potential network size: ${size.nodeCount} nodes, ${size.edgeCount} edges`);
     
     return {
-        nodeCount: potentialNodeCount,
-        edgeCount: potentialEdgeCount,
-        isLargeNetwork: potentialNodeCount > LARGE_NETWORK_NODE_THRESHOLD || 
-                        potentialEdgeCount > LARGE_NETWORK_EDGE_THRESHOLD
+        nodeCount: size.nodeCount,
+        edgeCount: size.edgeCount,
+        isLargeNetwork: size.nodeCount > LARGE_NETWORK_NODE_THRESHOLD || 
+                        size.edgeCount > LARGE_NETWORK_EDGE_THRESHOLD
     };
 }
 
@@ -1117,20 +1984,12 @@ function visualizeNetwork() {
     const selectedGenesArray = Array.from(selectedGenes);
     
     // Get minimum confidence value
-    const minConfidence = parseFloat(confidenceSlider.value);
+    const minConfidence = getMinConfidence();
     
     console.log('Selected TFs:', selectedTFsArray.length, selectedTFsArray);
     console.log('Selected genes:', selectedGenesArray.length, selectedGenesArray);
     console.log('Minimum confidence:', minConfidence);
     
-    // Check for special TFs and warn the user if they're selected
-    const selectedSpecialTFs = selectedTFsArray.filter(tf => specialTFs.hasOwnProperty(tf));
-    if (selectedSpecialTFs.length > 0) {
-        console.log('Special TFs selected:', selectedSpecialTFs);
-        // We could add a warning here if needed, but we'll just allow them to be selected
-        // They just won't show any connections in the network
-    }
-    
     // Debug log the current state of the visualization
     if (cy) {
         console.log('Current network state:', {
@@ -1139,6 +1998,12 @@ function visualizeNetwork() {
         });
     }
     
+    // Any re-render replaces a path shown by the path finder
+    clearPathResultHighlight();
+    
+    // Keep the current positions so nodes that stay in the view do not move
+    rememberNodePositions();
+    
     // Check if both a TF and a target gene are selected
     if (selectedTFsArray.length === 0 || selectedGenesArray.length === 0) {
         console.log('Visualization aborted: need at least one TF and one target gene');
@@ -1152,6 +2017,7 @@ function visualizeNetwork() {
         if (noConnectionsTitle) {
             noConnectionsTitle.textContent = 'Select at least one TF and one target gene';
         }
+        scheduleUrlStateUpdate();
         return;
     }
     
@@ -1173,76 +2039,91 @@ function visualizeNetwork() {
     const addedNodes = new Set();
     let edgeCount = 0;
     
-    // Process network data to create elements
-    networkData.forEach(row => {
+    // Add one regulatory edge with its TF and target nodes
+    const addEdgeRow = row => {
         const tf = row.REGULATOR;
         const gene = row.TARGET;
-        const value = parseFloat(row.VALUE);
-        
-        // Skip invalid entries
-        if (!tf || !gene || isNaN(value)) return;
+        const value = row.VALUE;
         
-        // Filter by confidence value
-        if (value < minConfidence) return;
+        // Add TF node if not already added
+        if (!addedNodes.has(tf)) {
+            let commonTFName = tfToCommonName[tf] || tf;
+            // Format TF name with first letter capital, rest lowercase
+            commonTFName = commonTFName.charAt(0).toUpperCase() + commonTFName.slice(1).toLowerCase();
+            elements.push({
+                data: {
+                    id: tf,
+                    name: commonTFName, // Store common name for display
+                    nodeType: 'TF',
+                    size: 45
+                }
+            });
+            addedNodes.add(tf);
+        }
         
-        // Add elements if they match the selection criteria
-        // Must have explicit selections for both TF and gene
-        if (selectedTFsArray.includes(tf) && selectedGenesArray.includes(gene)) {
-            
-            // Add TF node if not already added
-            if (!addedNodes.has(tf)) {
-                let commonTFName = tfToCommonName[tf] || tf;
-                // Format TF name with first letter capital, rest lowercase
-                commonTFName = commonTFName.charAt(0).toUpperCase() + commonTFName.slice(1).toLowerCase();
-                elements.push({
-                    data: {
-                        id: tf,
-                        name: commonTFName, // Store common name for display
-                        nodeType: 'TF',
-                        size: 45
-                    }
-                });
-                addedNodes.add(tf);
-            }
+        // Add target gene node if not already added
+        if (!addedNodes.has(gene)) {
+            const commonGeneName = geneToCommonName[gene] || gene;
             
-            // Add target gene node if not already added
-            if (!addedNodes.has(gene)) {
-                const commonGeneName = geneToCommonName[gene] || gene;
-                
-                // Check if this target gene is also a TF (exists in tfSet)
-                const isAlsoTF = tfSet.has(gene);
-                
-                elements.push({
-                    data: {
-                        id: gene,
-                        name: commonGeneName, // Store common name for display
-                        nodeType: isAlsoTF ? 'TF-target' : 'target', // Mark genes that are also TFs
-                        size: 40
-                    }
-                });
-                addedNodes.add(gene);
-            }
+            // Check if this target gene is also a TF (exists in tfSet)
+            const isAlsoTF = tfSet.has(gene);
             
-            // Add edge
             elements.push({
                 data: {
-                    id: `${tf}-${gene}`,
-                    source: tf,
-                    target: gene,
-                    weight: 1 + value,
-                    opacity: 0.5 + (value * 0.5),
-                    confidence: value
+                    id: gene,
+                    name: commonGeneName, // Store common name for display
+                    nodeType: isAlsoTF ? 'TF-target' : 'target', // Mark genes that are also TFs
+                    size: 40
                 }
             });
-            edgeCount++;
+            addedNodes.add(gene);
         }
-    });
+        
+        // Add edge
+        const edgeData = {
+            id: `${tf}-${gene}`,
+            source: tf,
+            target: gene,
+            weight: 1 + value,
+            opacity: 0.5 + (value * 0.5),
+            confidence: value
+        };
+        
+        // Activation or repression, drawn as a green arrow or a red T-bar
+        if (row.SIGN !== undefined) {
+            edgeData.sign = row.SIGN > 0 ? 'activation' : 'repression';
+        }
+        
+        // Extra columns from the network file, for the info panel and styling
+        if (row.extra) {
+            edgeData.extra = row.extra;
+        }
+        
+        // In comparison mode record which network(s) the edge passes the threshold in
+        if (isComparisonMode) {
+            Object.assign(edgeData, getComparisonEdgeData(row, minConfidence));
+        }
+        
+        elements.push({ data: edgeData });
+        edgeCount++;
+    };
+    
+    if (regulonOverviewCheckbox.checked) {
+        // TFs only, with expanded regulons and overlap edges
+        edgeCount += addRegulonOverviewElements(buildRegulonOverview(minConfidence), elements, addedNodes, addEdgeRow);
+    } else {
+        // Edges between the selected TFs and genes at or above the threshold, from the edge index
+        querySubnetwork(edgeIndex, selectedTFs, selectedGenes, minConfidence, getEdgeRowFilter()).forEach(addEdgeRow);
+    }
     
     // Update loading message
     loadingText.textContent = `Rendering ${addedNodes.size} nodes and ${edgeCount} edges...`;
     
     // Add elements to the graph
     cy.add(elements);
+    applyModuleColors();
+    applyExpressionColors();
+    applyEdgeStyling();
     
     // If no elements added, show message and return
     if (elements.length === 0) {
@@ -1258,30 +2139,14 @@ function visualizeNetwork() {
         // Show the no-connections message
         noConnectionsMessage.style.display = 'flex';
         isNetworkRendered = false;
+        scheduleUrlStateUpdate();
         return;
     }
     
     // Apply layout
     loadingText.textContent = 'Applying layout...';
     
-    cy.layout({
-        name: 'cose',
-        animate: false,
-        nodeOverlap: 20,
-        refresh: 20,
-        fit: true,
-        padding: 30,
-        randomize: true,
-        componentSpacing: 100,
-        nodeRepulsion: 400000,
-        edgeElasticity: 100,
-        nestingFactor: 5,
-        gravity: 80,
-        numIter: 1000,
-        initialTemp: 200,
-        coolingFactor: 0.95,
-        minTemp: 1.0
-    }).run();
+    layoutNetwork(false);
     
     // Hide loading indicator and no-connections message
     loading.style.display = 'none';
@@ -1290,6 +2155,9 @@ function visualizeNetwork() {
     // Mark network as successfully rendered
     isNetworkRendered = true;
     updateInstructionVisibility();
+    
+    // Record the rendered view in the URL
+    scheduleUrlStateUpdate();
 }
 
 // Reset the visualization and selections
@@ -1310,13 +2178,15 @@ function resetVisualization() {
     // Update the Visualize Network button state
     updateVisualizeButtonState();
     
-    // Reset confidence slider to minimum value (0.14)
-    confidenceSlider.value = 0.14;
-    confidenceValue.textContent = '0.14';
+    // Reset confidence slider to its minimum value, with no upper bound or rank cutoffs
+    confidenceSlider.value = confidenceSlider.min;
+    confidenceValue.textContent = parseFloat(confidenceSlider.min).toFixed(2);
+    applyRangeFilterState({ maxConfidence: confidenceMaxSlider.max, topPerTF: '', topPercent: '', preset: '' });
     
-    // Clear graph
+    // Clear graph, and start the next view from a fresh layout
     cy.elements().remove();
     isNetworkRendered = false;
+    clearNodePositions();
     
     // Hide all overlays
     nodeInfo.style.display = 'none';
@@ -1335,6 +2205,8 @@ function resetVisualization() {
     
     const geneMessage = geneContainer.querySelector('.not-found-message');
     if (geneMessage) geneContainer.removeChild(geneMessage);
+    
+    scheduleUrlStateUpdate();
 }
 
 // Fit the network view to the container
@@ -1354,101 +2226,28 @@ function selectTFAndTargets() {
         return;
     }
     
-    // Store the count of selected TFs and genes before making changes
-    const originalTFCount = selectedTFs.size;
-    const originalGeneCount = selectedGenes.size;
-    
-    // Keep track of new selections
-    let newSelections = 0;
-    let addedGenes = new Set(); // Track newly added genes
-    
-    // First, collect all target genes that would be selected
-    const potentialGenes = new Set();
-    selectedNodes.forEach(node => {
-        if (node.data('nodeType') === 'TF' || node.data('nodeType') === 'TF-target') {
-            node.outgoers('edge').forEach(edge => {
-                const targetNode = edge.target();
-                potentialGenes.add(targetNode.id());
-            });
-        }
-    });
+    if (isLargeNetworkWarningVisible) {
+        console.log('TARGETS: Ignoring target selection while large network warning is displayed');
+        return;
+    }
     
-    // Check if this would add a lot of genes
-    if (potentialGenes.size > 50) {
-        // This is potentially a large addition
-        const totalPotentialGenes = new Set([...selectedGenes, ...potentialGenes]);
-        
-        // Calculate potential network size with these selections
-        const selectedTFsArray = Array.from(selectedTFs);
-        const selectedGenesArray = Array.from(totalPotentialGenes);
-        const minConfidence = parseFloat(confidenceSlider.value);
-        
-        let potentialNodeCount = 0;
-        let potentialEdgeCount = 0;
-        const uniqueNodes = new Set();
-        
-        // Count potential nodes and edges
-        networkData.forEach(row => {
-            const tf = row.REGULATOR;
-            const gene = row.TARGET;
-            const value = parseFloat(row.VALUE);
-            
-            if (!tf || !gene || isNaN(value) || value < minConfidence) return;
-            
-            if (selectedTFsArray.includes(tf) && selectedGenesArray.includes(gene)) {
-                if (!uniqueNodes.has(tf)) {
-                    uniqueNodes.add(tf);
-                    potentialNodeCount++;
-                }
-                if (!uniqueNodes.has(gene)) {
-                    uniqueNodes.add(gene);
-                    potentialNodeCount++;
-                }
-                potentialEdgeCount++;
-            }
-        });
-        
-        // Check if this would create a large network
-        if (potentialNodeCount > LARGE_NETWORK_NODE_THRESHOLD || 
-            potentialEdgeCount > LARGE_NETWORK_EDGE_THRESHOLD) {
-            
-            // Show warning
-            warningNodeCount.textContent = potentialNodeCount;
-            warningEdgeCount.textContent = potentialEdgeCount;
-            largeNetworkWarning.style.display = 'flex';
-            
-            // Set up special handler for this case
-            proceedAnywayBtn.onclick = function() {
-                largeNetworkWarning.style.display = 'none';
-                // Continue with actual selection
-                completeTargetSelection(selectedNodes, true);
-                
-                // Reset normal proceed button behavior
-                proceedAnywayBtn.onclick = function() {
-                    largeNetworkWarning.style.display = 'none';
-                    renderLargeNetwork();
-                };
-            };
-            
-            cancelVisualizationBtn.onclick = function() {
-                largeNetworkWarning.style.display = 'none';
-                
-                // Reset normal cancel button behavior
-                cancelVisualizationBtn.onclick = function() {
-                    largeNetworkWarning.style.display = 'none';
-                };
-            };
-            
-            return;
-        }
+    // Large results go through the standard warning, so save the full state for Cancel
+    // before any targets are added (as with Select All)
+    lastChangeInfo = null;
+    if (!preLargeNetworkState) {
+        preLargeNetworkState = {
+            selectedTFs: Array.from(selectedTFs),
+            selectedGenes: Array.from(selectedGenes),
+            confidenceValue: parseFloat(confidenceSlider.value),
+            confidenceDisplayValue: confidenceValue.textContent
+        };
     }
     
-    // If we get here, it's safe to proceed with selection
-    completeTargetSelection(selectedNodes, false);
+    completeTargetSelection(selectedNodes);
 }
 
 // Helper function to complete the target selection and update UI
-function completeTargetSelection(selectedNodes, wasFromWarning) {
+function completeTargetSelection(selectedNodes) {
     let newSelections = 0;
     
     // For each selected node
@@ -1485,10 +2284,11 @@ function completeTargetSelection(selectedNodes, wasFromWarning) {
     // Update the selection info
     updateSelectionInfo();
     
-    // For large networks, the warning dialog has already been shown
-    if (newSelections === 0 && selectedNodes.length > 0 && !wasFromWarning) {
+    if (newSelections === 0) {
+        // Nothing changed, so there is nothing for Cancel to restore
+        preLargeNetworkState = null;
         alert('The selected transcription factor(s) do not regulate any genes in the current network view.');
-    } else if (newSelections > 0) {
+    } else {
         // Visualize network with the new selections
         // Since we're adding items, use the check function
         checkAndVisualizeNetwork();
@@ -1572,4 +2372,4235 @@ function updateSelectionInfo() {
     });
     
     selectionInfo.textContent = `Selected: ${tfCount} TF(s), ${targetCount} target gene(s), ${selectedEdges.length} connection(s)`;
-}
\ No newline at end of file
+}
+
+// Escape text for safe insertion into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Format a TF's display name (first letter capital, rest lowercase)
+function getTFDisplayName(tf) {
+    const commonName = tfToCommonName[tf] || tf;
+    return commonName.charAt(0).toUpperCase() + commonName.slice(1).toLowerCase();
+}
+
+// Load a second network file and compare it against the current one
+function loadComparisonNetwork(file) {
+    console.log('Loading comparison network from', file.name);
+    
+    loading.style.display = 'flex';
+    loadingText.textContent = `Loading ${file.name} for comparison...`;
+    
+    parseNetworkFile(file, function(result) {
+        if (result.fatalError) {
+            console.error('Error loading comparison network:', result.fatalError);
+            loading.style.display = 'none';
+            alert(`Could not load ${file.name} for comparison: ${result.fatalError}`);
+            return;
+        }
+        
+        if (result.problems.length > 0) {
+            console.log(`Comparison network: skipped ${result.problems.length} bad row(s)`, result.problems);
+        }
+        
+        startComparison(result.rows, file.name);
+    });
+}
+
+// Merge network A (the loaded network) and network B into one set of rows
+// VALUE holds the larger confidence so the usual threshold filtering keeps any
+// edge that passes in at least one network
+function mergeComparisonRows(rowsA, rowsB) {
+    const merged = new Map();
+    
+    rowsA.forEach(row => {
+        merged.set(`${row.REGULATOR}\t${row.TARGET}`, Object.assign({}, row, {
+            VALUE_A: row.VALUE,
+            VALUE_B: null
+        }));
+    });
+    
+    rowsB.forEach(row => {
+        const key = `${row.REGULATOR}\t${row.TARGET}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.VALUE_B = row.VALUE;
+            existing.VALUE = Math.max(existing.VALUE_A, row.VALUE);
+        } else {
+            merged.set(key, Object.assign({}, row, {
+                VALUE_A: null,
+                VALUE_B: row.VALUE
+            }));
+        }
+    });
+    
+    return Array.from(merged.values());
+}
+
+// Switch to comparison mode with the given network B rows
+function startComparison(rowsB, fileName) {
+    // Comparing again replaces network B but keeps the original network A
+    if (!isComparisonMode) {
+        baseNetworkData = networkData;
+        baseEdgeIndex = edgeIndex;
+        baseNetworkName = currentNetworkName;
+    }
+    
+    const mergedRows = mergeComparisonRows(baseNetworkData, rowsB);
+    console.log(`Comparison: ${baseNetworkData.length} edges in A, ${rowsB.length} edges in B, ${mergedRows.length} merged`);
+    
+    indexNetworkRows(mergedRows, function(rows, index) {
+        // Keep the current selections across the reload of the lists
+        const savedTFs = Array.from(selectedTFs);
+        const savedGenes = Array.from(selectedGenes);
+        
+        isComparisonMode = true;
+        comparisonNetworkName = fileName;
+        
+        processNetworkData(rows, index);
+        restoreComparisonSelections(savedTFs, savedGenes);
+        updateComparisonControls();
+    });
+}
+
+// Leave comparison mode and go back to network A alone
+function stopComparison() {
+    if (!isComparisonMode) return;
+    
+    const savedTFs = Array.from(selectedTFs);
+    const savedGenes = Array.from(selectedGenes);
+    const rowsA = baseNetworkData;
+    const indexA = baseEdgeIndex;
+    
+    endComparisonMode();
+    processNetworkData(rowsA, indexA);
+    restoreComparisonSelections(savedTFs, savedGenes);
+}
+
+// Reset the comparison state without reloading any data
+function endComparisonMode() {
+    isComparisonMode = false;
+    baseNetworkData = null;
+    baseEdgeIndex = null;
+    baseNetworkName = null;
+    comparisonNetworkName = null;
+    updateComparisonControls();
+}
+
+// Restore selections after the lists have been rebuilt for a comparison change
+function restoreComparisonSelections(savedTFs, savedGenes) {
+    restoreSelections(tfContainer, savedTFs, selectedTFs);
+    restoreSelections(geneContainer, savedGenes, selectedGenes);
+    updateInstructionVisibility();
+    updateTFAvailability();
+    
+    if (selectedTFs.size > 0 && selectedGenes.size > 0) {
+        checkAndVisualizeNetwork();
+    }
+}
+
+// Work out the comparison status of a merged row at the given threshold
+function getComparisonStatus(row, minConfidence) {
+    const inA = row.VALUE_A !== null && row.VALUE_A >= minConfidence;
+    const inB = row.VALUE_B !== null && row.VALUE_B >= minConfidence;
+    
+    if (inA && inB) return 'both';
+    if (inA) return 'A';
+    if (inB) return 'B';
+    return null;
+}
+
+// Edge data fields used to style and describe comparison edges
+function getComparisonEdgeData(row, minConfidence) {
+    const status = getComparisonStatus(row, minConfidence);
+    const data = {
+        diffStatus: status,
+        confidenceA: row.VALUE_A,
+        confidenceB: row.VALUE_B
+    };
+    
+    if (status === 'both') {
+        const delta = row.VALUE_B - row.VALUE_A;
+        data.deltaLabel = `Δ ${delta >= 0 ? '+' : ''}${delta.toFixed(2)}`;
+    }
+    
+    return data;
+}
+
+// Describe both confidences of a comparison edge for the info panel
+function formatComparisonConfidence(edge) {
+    const formatValue = value => value === null ? 'absent' : value.toFixed(3);
+    const confidenceA = edge.data('confidenceA');
+    const confidenceB = edge.data('confidenceB');
+    
+    let html = `A (${escapeHtml(baseNetworkName)}): ${formatValue(confidenceA)}<br>` +
+               `B (${escapeHtml(comparisonNetworkName)}): ${formatValue(confidenceB)}`;
+    
+    if (confidenceA !== null && confidenceB !== null) {
+        const delta = confidenceB - confidenceA;
+        html += `<br>Change (B − A): ${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`;
+    }
+    
+    return html;
+}
+
+// Show or hide the comparison controls, legend and summary
+function updateComparisonControls() {
+    stopComparisonBtn.disabled = !isComparisonMode;
+    stopComparisonBtn.classList.toggle('disabled-btn', !isComparisonMode);
+    
+    if (!isComparisonMode) {
+        comparisonInfo.textContent = 'No comparison loaded';
+        comparisonLegend.style.display = 'none';
+        comparisonSummary.style.display = 'none';
+        comparisonSummary.innerHTML = '';
+        return;
+    }
+    
+    comparisonInfo.textContent = `A: ${baseNetworkName} vs. B: ${comparisonNetworkName}`;
+    comparisonLegend.style.display = 'block';
+    comparisonSummary.style.display = 'block';
+    updateComparisonSummary();
+}
+
+// Rebuild the per-TF gains and losses table at the current threshold
+function updateComparisonSummary() {
+    if (!isComparisonMode) return;
+    
+    const minConfidence = getMinConfidence();
+    const perTF = new Map();
+    const totals = { lost: 0, gained: 0, both: 0 };
+    
+    // Merged rows carry the larger confidence, so this covers edges passing in either network
+    const rows = [];
+    getThresholdAdjacency(minConfidence).byRegulator.forEach(list => rows.push(...list));
+    
+    rows.forEach(row => {
+        const status = getComparisonStatus(row, minConfidence);
+        if (!status) return;
+        
+        if (!perTF.has(row.REGULATOR)) {
+            perTF.set(row.REGULATOR, { lost: 0, gained: 0, both: 0 });
+        }
+        const counts = perTF.get(row.REGULATOR);
+        
+        if (status === 'A') {
+            counts.lost++;
+            totals.lost++;
+        } else if (status === 'B') {
+            counts.gained++;
+            totals.gained++;
+        } else {
+            counts.both++;
+            totals.both++;
+        }
+    });
+    
+    // TFs with the most changes first
+    const sortedTFs = Array.from(perTF.entries()).sort((a, b) =>
+        (b[1].lost + b[1].gained) - (a[1].lost + a[1].gained) ||
+        getTFDisplayName(a[0]).localeCompare(getTFDisplayName(b[0])));
+    
+    let html = `<table class="summary-table">
+        <thead><tr><th>TF</th><th title="Only in A">Lost</th><th title="Only in B">Gained</th><th title="In both">Both</th></tr></thead>
+        <tbody>
+            <tr class="summary-total"><td>All TFs</td><td>${totals.lost}</td><td>${totals.gained}</td><td>${totals.both}</td></tr>`;
+    
+    sortedTFs.forEach(([tf, counts]) => {
+        html += `<tr><td>${escapeHtml(getTFDisplayName(tf))}</td><td>${counts.lost}</td><td>${counts.gained}</td><td>${counts.both}</td></tr>`;
+    });
+    
+    html += '</tbody></table>';
+    comparisonSummary.innerHTML = html;
+}
+
+// Capture the shareable parts of the current view
+function captureViewState() {
+    return {
+        tfs: Array.from(selectedTFs),
+        genes: Array.from(selectedGenes),
+        minConfidence: parseFloat(confidenceSlider.value),
+        maxConfidence: parseFloat(confidenceMaxSlider.value),
+        topPerTF: parseTopPerTF(topPerTFInput.value),
+        topPercent: parseTopPercent(topPercentInput.value),
+        layout: currentLayoutName,
+        sign: signFilterSelect.value,
+        isOverview: regulonOverviewCheckbox.checked,
+        zoom: cy && isNetworkRendered ? cy.zoom() : null,
+        pan: cy && isNetworkRendered ? cy.pan() : null
+    };
+}
+
+// Check whether every enabled checkbox in a list is part of the selection
+function isWholeListSelected(container, selectedSet) {
+    const checkboxes = container.querySelectorAll('input[type="checkbox"]:not(:disabled)');
+    return checkboxes.length > 0 && Array.from(checkboxes).every(checkbox => selectedSet.has(checkbox.value));
+}
+
+// Encode a view state as a URL hash, e.g. #tf=04864&gene=00654,00540&min=0.50&layout=cose
+function encodeViewStateHash(state) {
+    const encodeList = values => values.map(encodeURIComponent).join(',');
+    const parts = [];
+    
+    if (state.tfs.length > 0) {
+        parts.push('tf=' + (isWholeListSelected(tfContainer, selectedTFs) ? 'all' : encodeList(state.tfs)));
+    }
+    if (state.genes.length > 0) {
+        parts.push('gene=' + (isWholeListSelected(geneContainer, selectedGenes) ? 'all' : encodeList(state.genes)));
+    }
+    parts.push('min=' + state.minConfidence.toFixed(2));
+    if (state.maxConfidence < 1) {
+        parts.push('max=' + state.maxConfidence.toFixed(2));
+    }
+    if (state.topPerTF > 0) {
+        parts.push('top=' + state.topPerTF);
+    }
+    if (state.topPercent > 0) {
+        parts.push('toppct=' + state.topPercent);
+    }
+    parts.push('layout=' + encodeURIComponent(state.layout));
+    if (state.sign !== 'all') {
+        parts.push('sign=' + state.sign);
+    }
+    if (state.isOverview) {
+        parts.push('view=overview');
+    }
+    
+    if (state.zoom !== null) {
+        parts.push('zoom=' + state.zoom.toFixed(3));
+        parts.push('pan=' + Math.round(state.pan.x) + ',' + Math.round(state.pan.y));
+    }
+    
+    return parts.join('&');
+}
+
+// Resolve an ID from the URL, accepting systematic names or common names
+function resolveUrlSelection(value, knownSet) {
+    if (knownSet.has(value)) return value;
+    
+    const systematic = commonNameToSystematic[value.toUpperCase()];
+    return systematic && knownSet.has(systematic) ? systematic : null;
+}
+
+// Decode a URL hash into a view state, or null if it carries no view information
+function parseViewStateHash(hash) {
+    const text = hash.replace(/^#/, '');
+    if (!text) return null;
+    
+    const params = {};
+    text.split('&').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            params[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+    });
+    
+    // Lists are comma-separated, "all" selects every enabled checkbox
+    const decodeList = (value, container, knownSet) => {
+        if (!value) return [];
+        if (value === 'all') {
+            return Array.from(container.querySelectorAll('input[type="checkbox"]:not(:disabled)')).map(checkbox => checkbox.value);
+        }
+        return value.split(',')
+            .map(item => resolveUrlSelection(decodeURIComponent(item), knownSet))
+            .filter(item => item !== null);
+    };
+    
+    const minConfidence = parseFloat(params.min);
+    const maxConfidence = parseFloat(params.max);
+    const zoom = parseFloat(params.zoom);
+    const pan = (params.pan || '').split(',').map(parseFloat);
+    
+    return {
+        tfs: decodeList(params.tf, tfContainer, tfSet),
+        genes: decodeList(params.gene, geneContainer, geneSet),
+        minConfidence: isNaN(minConfidence) ? parseFloat(confidenceSlider.min) : minConfidence,
+        maxConfidence: isNaN(maxConfidence) ? parseFloat(confidenceMaxSlider.max) : maxConfidence,
+        topPerTF: parseTopPerTF(params.top || ''),
+        topPercent: parseTopPercent(params.toppct || ''),
+        layout: params.layout ? decodeURIComponent(params.layout) : currentLayoutName,
+        sign: params.sign === 'activation' || params.sign === 'repression' ? params.sign : 'all',
+        isOverview: params.view === 'overview',
+        zoom: isNaN(zoom) ? null : zoom,
+        pan: pan.length === 2 && !pan.some(isNaN) ? { x: pan[0], y: pan[1] } : null
+    };
+}
+
+// Push the current view onto the browser history (debounced so one change is one entry)
+function scheduleUrlStateUpdate() {
+    // Every committed view is also an undo step
+    scheduleHistoryRecord();
+    
+    if (isApplyingUrlState) return;
+    
+    clearTimeout(urlStateTimeout);
+    urlStateTimeout = setTimeout(() => writeUrlState(false), 250);
+}
+
+// Pan and zoom only replace the current history entry
+function scheduleViewportUrlUpdate() {
+    if (isApplyingUrlState || !isNetworkRendered) return;
+    
+    clearTimeout(viewportUrlTimeout);
+    viewportUrlTimeout = setTimeout(() => writeUrlState(true), 400);
+}
+
+// Write the current view to the URL hash
+function writeUrlState(replace) {
+    // A change waiting behind the large network warning is not a committed view yet
+    if (isApplyingUrlState || isLargeNetworkWarningVisible) return;
+    
+    const hash = '#' + encodeViewStateHash(captureViewState());
+    if (hash === location.hash) return;
+    
+    if (replace) {
+        history.replaceState(null, '', hash);
+    } else {
+        console.log('URL: pushing view state', hash);
+        history.pushState(null, '', hash);
+    }
+}
+
+// Apply the view stored in the URL hash (on first load and on back/forward)
+function applyViewStateFromUrl(isInitialLoad) {
+    const state = parseViewStateHash(location.hash);
+    if (!state || !cy) return;
+    
+    console.log(`URL: restoring ${state.tfs.length} TFs, ${state.genes.length} genes at confidence >= ${state.minConfidence}`);
+    applyViewState(state, isInitialLoad);
+}
+
+// Apply a view state (selection, filters, layout and viewport)
+// A view that may not have been rendered in this session goes through the large network warning
+function applyViewState(state, isNewView) {
+    isApplyingUrlState = true;
+    
+    // A pending warning belongs to the view we are navigating away from
+    largeNetworkWarning.style.display = 'none';
+    isLargeNetworkWarningVisible = false;
+    lastChangeInfo = null;
+    
+    // Keep the state we are replacing so a large network warning can be cancelled
+    preLargeNetworkState = {
+        selectedTFs: Array.from(selectedTFs),
+        selectedGenes: Array.from(selectedGenes),
+        confidenceValue: parseFloat(confidenceSlider.value),
+        confidenceDisplayValue: confidenceValue.textContent
+    };
+    
+    restoreSelections(tfContainer, state.tfs, selectedTFs);
+    restoreSelections(geneContainer, state.genes, selectedGenes);
+    
+    confidenceSlider.value = state.minConfidence;
+    confidenceValue.textContent = parseFloat(confidenceSlider.value).toFixed(2);
+    previousConfidence = parseFloat(confidenceSlider.value);
+    applyRangeFilterState({
+        maxConfidence: state.maxConfidence,
+        topPerTF: state.topPerTF || '',
+        topPercent: state.topPercent || '',
+        preset: ''
+    });
+    currentLayoutName = LAYOUTS.hasOwnProperty(state.layout) ? state.layout : 'cose';
+    layoutSelect.value = currentLayoutName;
+    signFilterSelect.value = isSignedNetwork ? state.sign : 'all';
+    signFilterSelect.dataset.previous = signFilterSelect.value;
+    regulonOverviewCheckbox.checked = state.isOverview;
+    
+    updateInstructionVisibility();
+    updateComparisonSummary();
+    updateTFAvailability();
+    
+    if (selectedTFs.size > 0 && selectedGenes.size > 0) {
+        if (isNewView) {
+            // A shared link or a saved workspace may describe a large network, so go through the usual warning
+            checkAndVisualizeNetwork();
+        } else {
+            // Views in the history have already been rendered in this session
+            preLargeNetworkState = null;
+            visualizeNetwork();
+        }
+        
+        if (isNetworkRendered && state.zoom !== null && state.pan !== null) {
+            cy.viewport({ zoom: state.zoom, pan: state.pan });
+        }
+    } else {
+        preLargeNetworkState = null;
+        cy.elements().remove();
+        isNetworkRendered = false;
+        noConnectionsMessage.style.display = 'none';
+        nodeInfo.style.display = 'none';
+        updateInstructionVisibility();
+    }
+    
+    isApplyingUrlState = false;
+}
+
+// Trigger a browser download of generated content
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Read a user-supplied file as text
+function readTextFile(file, onText) {
+    file.text().then(onText, error => {
+        console.error(`Error reading ${file.name}:`, error);
+        alert(`Could not read ${file.name}.`);
+    });
+}
+
+// Base name for exported files, derived from the loaded network file
+function getExportBaseName() {
+    return currentNetworkName.replace(/\.[^.]+$/, '') + '_subnetwork';
+}
+
+// Collect the rendered nodes and edges to export
+// If nodes are selected (e.g. with shift+click) only those and the edges between them are used
+function getExportElements() {
+    const selectedNodes = cy.nodes(':selected');
+    const isSelection = selectedNodes.length > 0;
+    const nodes = isSelection ? selectedNodes : cy.nodes();
+    const nodeIds = new Set(nodes.map(node => node.id()));
+    
+    // The rendered edges already passed every filter (confidence range, rank cutoffs, sign,
+    // expression), so the export is exactly the regulatory edges on screen; the shared target
+    // edges of the regulon overview have no confidence and are not regulation
+    const edges = cy.edges('[confidence]').filter(edge =>
+        nodeIds.has(edge.source().id()) &&
+        nodeIds.has(edge.target().id()));
+    
+    return { nodes: nodes, edges: edges, isSelection: isSelection };
+}
+
+// Export the rendered network in the chosen format
+function exportNetwork(format) {
+    if (!cy || !isNetworkRendered || cy.nodes().length === 0) {
+        alert('There is no network to export. Select TFs and target genes to render a network first.');
+        return;
+    }
+    
+    const exportFormat = EXPORT_FORMATS[format];
+    const { nodes, edges, isSelection } = getExportElements();
+    console.log(`Exporting ${nodes.length} nodes and ${edges.length} edges as ${format}${isSelection ? ' (selection only)' : ''}`);
+    
+    let content;
+    if (format === 'tsv') {
+        content = buildTSVExport(edges);
+    } else if (format === 'sif') {
+        content = buildSIFExport(nodes, edges);
+    } else if (format === 'graphml') {
+        content = buildGraphMLExport(nodes, edges);
+    } else {
+        content = buildCytoscapeJSONExport(nodes, edges, isSelection);
+    }
+    
+    downloadFile(content, `${getExportBaseName()}.${exportFormat.extension}`, exportFormat.mimeType);
+}
+
+// TSV in the column layout of the loaded network file
+function buildTSVExport(edges) {
+    const rows = edges.map(edge => {
+        const sign = edge.data('sign');
+        return {
+            REGULATOR: edge.source().id(),
+            TARGET: edge.target().id(),
+            VALUE: edge.data('confidence'),
+            SIGN: sign === 'activation' ? 1 : sign === 'repression' ? -1 : undefined,
+            extra: edge.data('extra')
+        };
+    });
+    
+    return formatEdgesAsTSV(rows, {
+        format: currentNetworkFormat,
+        extraColumns: extraEdgeColumns,
+        isSigned: isSignedNetwork,
+        tfNames: tfToCommonName,
+        geneNames: geneToCommonName
+    });
+}
+
+// Simple interaction format, nodes without edges are listed on their own line
+function buildSIFExport(nodes, edges) {
+    const lines = [];
+    const connectedNodes = new Set();
+    
+    edges.forEach(edge => {
+        lines.push(`${edge.source().id()}\tregulates\t${edge.target().id()}`);
+        connectedNodes.add(edge.source().id());
+        connectedNodes.add(edge.target().id());
+    });
+    
+    nodes.forEach(node => {
+        if (!connectedNodes.has(node.id())) {
+            lines.push(node.id());
+        }
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+// GraphML with common/systematic names, node type and confidence as attributes
+function buildGraphMLExport(nodes, edges) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+        '  <key id="common_name" for="node" attr.name="common_name" attr.type="string"/>',
+        '  <key id="systematic_name" for="node" attr.name="systematic_name" attr.type="string"/>',
+        '  <key id="node_type" for="node" attr.name="node_type" attr.type="string"/>',
+        '  <key id="confidence" for="edge" attr.name="confidence" attr.type="double"/>'
+    ];
+    
+    if (isComparisonMode) {
+        lines.push('  <key id="confidence_a" for="edge" attr.name="confidence_a" attr.type="double"/>');
+        lines.push('  <key id="confidence_b" for="edge" attr.name="confidence_b" attr.type="double"/>');
+        lines.push('  <key id="comparison_status" for="edge" attr.name="comparison_status" attr.type="string"/>');
+    }
+    
+    lines.push(`  <graph id="${escapeHtml(getExportBaseName())}" edgedefault="directed">`);
+    
+    nodes.forEach(node => {
+        const id = node.id();
+        const commonName = tfToCommonName[id] || geneToCommonName[id] || id;
+        lines.push(`    <node id="${escapeHtml(id)}">`);
+        lines.push(`      <data key="name">${escapeHtml(node.data('name'))}</data>`);
+        lines.push(`      <data key="common_name">${escapeHtml(commonName)}</data>`);
+        lines.push(`      <data key="systematic_name">${escapeHtml(id)}</data>`);
+        lines.push(`      <data key="node_type">${escapeHtml(node.data('nodeType'))}</data>`);
+        lines.push('    </node>');
+    });
+    
+    edges.forEach(edge => {
+        lines.push(`    <edge id="${escapeHtml(edge.id())}" source="${escapeHtml(edge.source().id())}" target="${escapeHtml(edge.target().id())}">`);
+        lines.push(`      <data key="confidence">${edge.data('confidence')}</data>`);
+        if (edge.data('diffStatus')) {
+            if (edge.data('confidenceA') !== null) {
+                lines.push(`      <data key="confidence_a">${edge.data('confidenceA')}</data>`);
+            }
+            if (edge.data('confidenceB') !== null) {
+                lines.push(`      <data key="confidence_b">${edge.data('confidenceB')}</data>`);
+            }
+            lines.push(`      <data key="comparison_status">${escapeHtml(edge.data('diffStatus'))}</data>`);
+        }
+        lines.push('    </edge>');
+    });
+    
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// Cytoscape.js JSON, restricted to the exported elements when exporting a selection
+function buildCytoscapeJSONExport(nodes, edges, isSelection) {
+    const json = cy.json();
+    
+    if (isSelection || edges.length !== cy.edges().length) {
+        json.elements = {
+            nodes: nodes.jsons(),
+            edges: edges.jsons()
+        };
+    }
+    
+    return JSON.stringify(json, null, 2);
+}
+
+// Enable the options that apply to the chosen image format
+function updateImageExportOptions() {
+    const isSVG = imageFormatSelect.value === 'svg';
+    imageDpiInput.disabled = isSVG;
+    imageLegendCheckbox.disabled = !isSVG;
+    imageCitationCheckbox.disabled = !isSVG;
+}
+
+// Export the graph as a PNG or SVG image
+function exportImage() {
+    if (!cy || !isNetworkRendered || cy.nodes().length === 0) {
+        alert('There is no network to export. Select TFs and target genes to render a network first.');
+        return;
+    }
+    
+    const isFullGraph = imageExtentSelect.value === 'full';
+    const baseName = getExportBaseName();
+    
+    if (imageFormatSelect.value === 'png') {
+        const dpi = parseFloat(imageDpiInput.value);
+        if (isNaN(dpi) || dpi < 24 || dpi > 1200) {
+            alert('Please enter a resolution between 24 and 1200 DPI.');
+            return;
+        }
+        
+        console.log(`Exporting PNG at ${dpi} DPI (${isFullGraph ? 'full graph' : 'viewport'})`);
+        const png = cy.png({
+            output: 'blob',
+            full: isFullGraph,
+            scale: dpi / SCREEN_DPI,
+            bg: '#ffffff'
+        });
+        downloadFile(png, `${baseName}.png`, 'image/png');
+    } else {
+        console.log(`Exporting SVG (${isFullGraph ? 'full graph' : 'viewport'})`);
+        const svg = buildSVGExport({
+            isFullGraph: isFullGraph,
+            includeLegend: imageLegendCheckbox.checked,
+            includeCitation: imageCitationCheckbox.checked
+        });
+        downloadFile(svg, `${baseName}.svg`, 'image/svg+xml');
+    }
+}
+
+// Split text into lines of at most maxLength characters at word boundaries
+function wrapText(text, maxLength) {
+    const lines = [];
+    let line = '';
+    
+    text.split(/\s+/).forEach(word => {
+        if (line && (line + ' ' + word).length > maxLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? line + ' ' + word : word;
+        }
+    });
+    if (line) lines.push(line);
+    
+    return lines;
+}
+
+// SVG path for an edge, following Cytoscape's bezier control points
+function getEdgeSVGPath(edge) {
+    const source = edge.sourceEndpoint();
+    const target = edge.targetEndpoint();
+    const controlPoints = edge.controlPoints() || [];
+    
+    let path = `M ${source.x} ${source.y}`;
+    if (controlPoints.length === 0) {
+        return path + ` L ${target.x} ${target.y}`;
+    }
+    
+    // Several control points are drawn as quadratic curves joined at their midpoints
+    for (let i = 0; i < controlPoints.length - 1; i++) {
+        const midX = (controlPoints[i].x + controlPoints[i + 1].x) / 2;
+        const midY = (controlPoints[i].y + controlPoints[i + 1].y) / 2;
+        path += ` Q ${controlPoints[i].x} ${controlPoints[i].y} ${midX} ${midY}`;
+    }
+    const last = controlPoints[controlPoints.length - 1];
+    return path + ` Q ${last.x} ${last.y} ${target.x} ${target.y}`;
+}
+
+// SVG marker definition for an edge arrow of the given shape and color
+function getArrowMarkerSVG(id, shape, color) {
+    const arrowPath = shape === 'tee' ? 'M 6 0 L 10 0 L 10 10 L 6 10 z' : 'M 0 0 L 10 5 L 0 10 z';
+    return `<marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="4" markerHeight="4" markerUnits="strokeWidth" orient="auto">` +
+           `<path d="${arrowPath}" fill="${color}"/></marker>`;
+}
+
+// SVG for one node, using the colors, border and label style from the stylesheet
+function getNodeSVG(node) {
+    const position = node.position();
+    const width = node.width();
+    const height = node.height();
+    const fill = node.style('background-color');
+    const stroke = node.style('border-color');
+    const strokeWidth = node.pstyle('border-width').pfValue;
+    const strokeDash = node.style('border-style') === 'dashed' ? ' stroke-dasharray="4 2"' : '';
+    
+    let shape;
+    if (node.style('shape') === 'ellipse') {
+        shape = `<ellipse cx="${position.x}" cy="${position.y}" rx="${width / 2}" ry="${height / 2}" ` +
+                `fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"${strokeDash}/>`;
+    } else {
+        const radius = node.style('shape') === 'round-rectangle' ? Math.min(width, height) / 4 : 0;
+        shape = `<rect x="${position.x - width / 2}" y="${position.y - height / 2}" width="${width}" height="${height}" rx="${radius}" ` +
+                `fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"${strokeDash}/>`;
+    }
+    
+    const label = node.style('label');
+    if (!label) return shape;
+    
+    const fontSize = node.pstyle('font-size').pfValue;
+    const outlineWidth = node.pstyle('text-outline-width').pfValue;
+    const text = `<text x="${position.x}" y="${position.y}" text-anchor="middle" dominant-baseline="central" ` +
+                 `font-family="${escapeHtml(node.style('font-family'))}" font-size="${fontSize}" font-style="${node.style('font-style')}" ` +
+                 `fill="${node.style('color')}" stroke="${node.style('text-outline-color')}" stroke-width="${outlineWidth}" ` +
+                 `paint-order="stroke">${escapeHtml(label)}</text>`;
+    return shape + text;
+}
+
+// Legend entries: node types always, edge signs, styling and expression colors when in use, comparison edge colors when comparing
+function getLegendEntries() {
+    const entries = [
+        { kind: 'node', color: '#e74c3c', label: 'Transcription factor', italic: false },
+        { kind: 'node', color: '#e74c3c', label: 'TF & target gene', italic: true },
+        { kind: 'node', color: '#3498db', label: 'Target gene', italic: true }
+    ];
+    
+    if (isSignedNetwork) {
+        entries.push({ kind: 'edge', color: '#27ae60', label: 'Activation' });
+        entries.push({ kind: 'edge', color: '#c0392b', label: 'Repression' });
+    }
+    
+    getEdgeStyleLegendEntries().forEach(entry => entries.push(entry));
+    getExpressionLegendEntries().forEach(entry => entries.push(entry));
+    
+    if (isComparisonMode) {
+        entries.push({ kind: 'edge', color: '#e67e22', label: 'Only in A' });
+        entries.push({ kind: 'edge', color: '#27ae60', label: 'Only in B' });
+        entries.push({ kind: 'edge', color: '#7f8c8d', label: 'In both' });
+    }
+    
+    return entries;
+}
+
+// Build a vector image of the graph with an optional legend and citation
+function buildSVGExport(options) {
+    // Area of the graph to draw, in model coordinates
+    const bounds = options.isFullGraph ? cy.elements().boundingBox() : cy.extent();
+    const padding = 20;
+    const width = Math.max(bounds.w + 2 * padding, 300);
+    const graphHeight = bounds.h + 2 * padding;
+    
+    // Scale the legend and citation text with the drawing so they stay readable
+    const textScale = Math.max(1, width / 800);
+    const lineHeight = 16 * textScale;
+    let footerHeight = 0;
+    
+    const legendEntries = options.includeLegend ? getLegendEntries() : [];
+    if (legendEntries.length > 0) {
+        footerHeight += lineHeight * (legendEntries.length + 1);
+    }
+    
+    const citationElement = document.querySelector('.citation-section a');
+    const citationLines = options.includeCitation && citationElement
+        ? wrapText(citationElement.textContent.trim(), Math.floor(width / (6 * textScale)))
+        : [];
+    if (citationLines.length > 0) {
+        footerHeight += lineHeight * (citationLines.length + 1);
+    }
+    
+    const height = graphHeight + footerHeight;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`
+    ];
+    
+    // Arrow markers, one per shape and color in use
+    const markers = new Map();
+    const edges = cy.edges(':visible');
+    edges.forEach(edge => {
+        const shape = edge.style('target-arrow-shape');
+        if (shape === 'none') return;
+        const color = edge.style('target-arrow-color');
+        const id = `arrow-${shape}-${markers.size}`;
+        const key = `${shape}|${color}`;
+        if (!markers.has(key)) {
+            markers.set(key, { id: id, svg: getArrowMarkerSVG(id, shape, color) });
+        }
+    });
+    parts.push('<defs>');
+    markers.forEach(marker => parts.push(marker.svg));
+    parts.push(`<clipPath id="graph-area"><rect x="0" y="0" width="${width}" height="${graphHeight}"/></clipPath>`);
+    parts.push('</defs>');
+    
+    // Graph, shifted so the chosen area starts at the padding offset
+    parts.push(`<g clip-path="url(#graph-area)"><g transform="translate(${padding - bounds.x1} ${padding - bounds.y1})">`);
+    
+    edges.forEach(edge => {
+        const shape = edge.style('target-arrow-shape');
+        const marker = markers.get(`${shape}|${edge.style('target-arrow-color')}`);
+        const dash = edge.style('line-style') === 'dashed' ? ' stroke-dasharray="6 3"' :
+                     edge.style('line-style') === 'dotted' ? ' stroke-dasharray="1 3"' : '';
+        parts.push(`<path d="${getEdgeSVGPath(edge)}" fill="none" stroke="${edge.style('line-color')}" ` +
+                   `stroke-width="${edge.pstyle('width').pfValue}" opacity="${edge.pstyle('opacity').value}"${dash}` +
+                   (marker ? ` marker-end="url(#${marker.id})"` : '') + '/>');
+        
+        const label = edge.style('label');
+        if (label) {
+            const midpoint = edge.midpoint();
+            parts.push(`<text x="${midpoint.x}" y="${midpoint.y}" text-anchor="middle" dominant-baseline="central" ` +
+                       `font-family="${escapeHtml(edge.style('font-family'))}" font-size="${edge.pstyle('font-size').pfValue}" ` +
+                       `fill="${edge.style('color')}">${escapeHtml(label)}</text>`);
+        }
+    });
+    
+    cy.nodes(':visible').forEach(node => parts.push(getNodeSVG(node)));
+    parts.push('</g></g>');
+    
+    // Legend and citation below the graph
+    let y = graphHeight + lineHeight;
+    const fontSize = 12 * textScale;
+    
+    legendEntries.forEach(entry => {
+        const x = padding;
+        if (entry.kind === 'node') {
+            parts.push(`<circle cx="${x + 6 * textScale}" cy="${y}" r="${6 * textScale}" fill="#ffffff" stroke="${entry.color}" stroke-width="${2 * textScale}"/>`);
+        } else if (entry.kind === 'fill') {
+            parts.push(`<circle cx="${x + 6 * textScale}" cy="${y}" r="${6 * textScale}" fill="${entry.color}" stroke="#999999" stroke-width="${1 * textScale}"/>`);
+        } else {
+            const dash = entry.dash === 'dashed' ? ` stroke-dasharray="${4 * textScale} ${2 * textScale}"` :
+                         entry.dash === 'dotted' ? ` stroke-dasharray="${1 * textScale} ${2 * textScale}"` : '';
+            parts.push(`<line x1="${x}" y1="${y}" x2="${x + 12 * textScale}" y2="${y}" stroke="${entry.color}" stroke-width="${3 * textScale}"${dash}/>`);
+        }
+        parts.push(`<text x="${x + 20 * textScale}" y="${y}" dominant-baseline="central" font-family="Arial, sans-serif" ` +
+                   `font-size="${fontSize}"${entry.italic ? ' font-style="italic"' : ''}>${escapeHtml(entry.label)}</text>`);
+        y += lineHeight;
+    });
+    
+    if (citationLines.length > 0) {
+        y += legendEntries.length > 0 ? 0 : -lineHeight / 2;
+        citationLines.forEach(line => {
+            y += lineHeight;
+            parts.push(`<text x="${padding}" y="${y}" font-family="Arial, sans-serif" font-size="${10 * textScale}" ` +
+                       `font-style="italic" fill="#666666">${escapeHtml(line)}</text>`);
+        });
+    }
+    
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
+
+// Node the context menu currently refers to
+let contextMenuNodeId = null;
+
+// Show the neighborhood menu next to a node
+function showNodeContextMenu(node, renderedPosition) {
+    contextMenuNodeId = node.id();
+    const isTF = tfSet.has(contextMenuNodeId);
+    const isTarget = geneSet.has(contextMenuNodeId);
+    
+    contextMenuTitle.textContent = node.data('name');
+    contextMenuTitle.style.fontStyle = node.data('nodeType') === 'TF' ? 'normal' : 'italic';
+    
+    // Only TFs have targets and only target genes have regulators
+    nodeContextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+        if (item.dataset.action === 'pin') {
+            item.textContent = pinnedNodeIds.has(contextMenuNodeId) ? 'Unpin position' : 'Pin position';
+            return;
+        }
+        const needsTF = item.dataset.action === 'targets' || item.dataset.action === 'downstream';
+        item.disabled = needsTF ? !isTF : !isTarget;
+    });
+    
+    nodeContextMenu.style.display = 'block';
+    
+    // Keep the menu inside the network area
+    const container = document.getElementById('network-container');
+    const left = Math.min(renderedPosition.x, container.clientWidth - nodeContextMenu.offsetWidth - 5);
+    const top = Math.min(renderedPosition.y, container.clientHeight - nodeContextMenu.offsetHeight - 5);
+    nodeContextMenu.style.left = `${Math.max(0, left)}px`;
+    nodeContextMenu.style.top = `${Math.max(0, top)}px`;
+}
+
+// Hide the neighborhood menu
+function hideNodeContextMenu() {
+    nodeContextMenu.style.display = 'none';
+    contextMenuNodeId = null;
+}
+
+// Run the chosen context menu action on the node it was opened for
+function handleContextMenuAction(action) {
+    const nodeId = contextMenuNodeId;
+    hideNodeContextMenu();
+    if (!nodeId) return;
+    
+    if (action === 'pin') {
+        togglePinnedNode(nodeId);
+        return;
+    }
+    
+    const hops = parseInt(contextHopsInput.value, 10);
+    if (isNaN(hops) || hops < 1 || hops > MAX_EXPANSION_HOPS) {
+        alert(`Please choose between 1 and ${MAX_EXPANSION_HOPS} hops.`);
+        return;
+    }
+    
+    console.log(`CONTEXT: ${action} for ${nodeId} (${hops} hops)`);
+    
+    if (action === 'regulators') {
+        expandNeighborhood(nodeId, 'upstream', 1);
+    } else if (action === 'targets') {
+        expandNeighborhood(nodeId, 'downstream', 1);
+    } else {
+        expandNeighborhood(nodeId, action, hops);
+    }
+}
+
+// Edges at or above the confidence threshold (and passing the sign filter) by regulator and by target
+function getThresholdAdjacency(minConfidence) {
+    return getThresholdAdjacencyFromIndex(edgeIndex, minConfidence, getEdgeRowFilter());
+}
+
+// Grow the selection from a node along regulatory edges (see findNeighborhood)
+function expandNeighborhood(nodeId, direction, hops) {
+    const minConfidence = getMinConfidence();
+    const adjacency = getThresholdAdjacency(minConfidence);
+    const { tfs: tfsToAdd, genes: genesToAdd, cascadeSigns } = findNeighborhood(adjacency, nodeId, direction, hops);
+    
+    if (isSignedNetwork) {
+        lastCascade = { rootId: nodeId, direction: direction, nodes: cascadeSigns };
+    }
+    
+    console.log(`EXPAND: ${direction} ${hops} hop(s) from ${nodeId} reached ${tfsToAdd.size} TFs and ${genesToAdd.size} genes`);
+    
+    const description = direction === 'downstream' ? 'targets' : 'regulators';
+    addToSelection(Array.from(tfsToAdd), Array.from(genesToAdd),
+        `No ${description} found at confidence >= ${minConfidence.toFixed(2)}.`);
+}
+
+// Find the checkbox for an item in a list
+function findCheckbox(container, value) {
+    const lookup = container === tfContainer ? tfCheckboxes : geneCheckboxes;
+    return lookup.get(value) || null;
+}
+
+// Add TFs and genes to the selection in one step, keeping the checkbox lists in sync
+// Goes through the large network warning, and Cancel restores the previous selection
+function addToSelection(tfIds, geneIds, emptyMessage) {
+    if (isLargeNetworkWarningVisible) {
+        console.log('ADD: Ignoring selection change while large network warning is displayed');
+        return;
+    }
+    
+    // Only items with an enabled checkbox can be selected
+    const isSelectable = (container, id) => {
+        const checkbox = findCheckbox(container, id);
+        return checkbox !== null && !checkbox.disabled;
+    };
+    const newTFs = tfIds.filter(tf => !selectedTFs.has(tf) && isSelectable(tfContainer, tf));
+    const newGenes = geneIds.filter(gene => !selectedGenes.has(gene) && isSelectable(geneContainer, gene));
+    
+    if (newTFs.length === 0 && newGenes.length === 0) {
+        alert(emptyMessage || 'Everything found is already selected.');
+        return;
+    }
+    
+    console.log(`ADD: Adding ${newTFs.length} TFs and ${newGenes.length} genes to the selection`);
+    
+    // Bulk change, so save the full state for Cancel (as with Select All)
+    lastChangeInfo = null;
+    if (!preLargeNetworkState) {
+        preLargeNetworkState = {
+            selectedTFs: Array.from(selectedTFs),
+            selectedGenes: Array.from(selectedGenes),
+            confidenceValue: parseFloat(confidenceSlider.value),
+            confidenceDisplayValue: confidenceValue.textContent
+        };
+    }
+    
+    newTFs.forEach(tf => {
+        selectedTFs.add(tf);
+        findCheckbox(tfContainer, tf).checked = true;
+    });
+    newGenes.forEach(gene => {
+        selectedGenes.add(gene);
+        findCheckbox(geneContainer, gene).checked = true;
+    });
+    
+    updateInstructionVisibility();
+    previousTFCount = selectedTFs.size;
+    previousGeneCount = selectedGenes.size;
+    
+    if (selectedTFs.size > 0 && selectedGenes.size > 0) {
+        checkAndVisualizeNetwork();
+    } else {
+        // Nothing can be drawn yet, so there is nothing to warn about
+        preLargeNetworkState = null;
+        scheduleUrlStateUpdate();
+    }
+}
+
+// Split a pasted gene list into entries (newlines, tabs, commas, semicolons or spaces)
+function tokenizeGeneList(text) {
+    const entries = [];
+    text.split(/[\r\n,;\t]+/).forEach(piece => {
+        const trimmed = piece.trim();
+        if (!trimmed) return;
+        // Keep "Cir1 (04864)" labels whole, otherwise spaces separate entries too
+        if (/\([^()]+\)\s*$/.test(trimmed)) {
+            entries.push(trimmed);
+        } else {
+            entries.push(...trimmed.split(/\s+/));
+        }
+    });
+    
+    // Ignore repeated entries
+    const seen = new Set();
+    return entries.filter(entry => {
+        const key = entry.toUpperCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Resolve a pasted gene list and select the matches as TFs and/or target genes
+function importGeneList(text) {
+    if (isLargeNetworkWarningVisible) {
+        alert('Please respond to the large network warning first.');
+        return;
+    }
+    
+    const entries = tokenizeGeneList(text);
+    if (entries.length === 0) {
+        alert('Paste systematic IDs (with or without CNAG_) or common names first.');
+        return;
+    }
+    
+    const mode = bulkMode.value;
+    const tfIds = new Set();
+    const geneIds = new Set();
+    const unmatched = [];
+    const ambiguous = [];
+    const unavailable = [];
+    
+    entries.forEach(entry => {
+        const tfMatches = mode !== 'genes' ? resolveGeneIdentifier(entry, tfSet) : [];
+        const geneMatches = mode !== 'tfs' ? resolveGeneIdentifier(entry, geneSet) : [];
+        const candidates = new Set([...tfMatches, ...geneMatches]);
+        
+        if (candidates.size === 0) {
+            unmatched.push(entry);
+            return;
+        }
+        if (candidates.size > 1) {
+            ambiguous.push(`${entry} (${Array.from(candidates).join(', ')})`);
+            return;
+        }
+        
+        // Edgeless TFs and similar have disabled checkboxes and cannot be selected
+        const selectable = (container, ids) => ids.filter(id => {
+            const checkbox = findCheckbox(container, id);
+            return checkbox !== null && !checkbox.disabled;
+        });
+        const usableTFs = selectable(tfContainer, tfMatches);
+        const usableGenes = selectable(geneContainer, geneMatches);
+        if (usableTFs.length === 0 && usableGenes.length === 0) {
+            unavailable.push(entry);
+            return;
+        }
+        usableTFs.forEach(id => tfIds.add(id));
+        usableGenes.forEach(id => geneIds.add(id));
+    });
+    
+    const matchedCount = entries.length - unmatched.length - ambiguous.length - unavailable.length;
+    console.log(`BULK: ${entries.length} entries, ${matchedCount} matched, ${unmatched.length} unmatched, ${ambiguous.length} ambiguous`);
+    
+    bulkInfo.textContent = `${matchedCount} of ${entries.length} entries matched ` +
+        `(${tfIds.size} TFs, ${geneIds.size} target genes)`;
+    showBulkImportReport(unmatched, ambiguous, unavailable);
+    
+    if (tfIds.size === 0 && geneIds.size === 0) {
+        return;
+    }
+    
+    if (bulkReplace.checked) {
+        clearSelectionForReplace(mode !== 'genes', mode !== 'tfs');
+    }
+    addToSelection(Array.from(tfIds), Array.from(geneIds), 'All matched entries are already selected.');
+}
+
+// Clear the TF and/or gene selection ahead of a bulk replace, keeping it restorable from the warning
+function clearSelectionForReplace(clearTFs, clearGenes) {
+    if (!preLargeNetworkState) {
+        preLargeNetworkState = {
+            selectedTFs: Array.from(selectedTFs),
+            selectedGenes: Array.from(selectedGenes),
+            confidenceValue: parseFloat(confidenceSlider.value),
+            confidenceDisplayValue: confidenceValue.textContent
+        };
+    }
+    
+    if (clearTFs) {
+        selectedTFs.forEach(tf => { findCheckbox(tfContainer, tf).checked = false; });
+        selectedTFs.clear();
+    }
+    if (clearGenes) {
+        selectedGenes.forEach(gene => { findCheckbox(geneContainer, gene).checked = false; });
+        selectedGenes.clear();
+    }
+}
+
+// List the entries of a bulk import that could not be selected
+function showBulkImportReport(unmatched, ambiguous, unavailable) {
+    bulkReport.innerHTML = '';
+    const groups = [
+        { title: 'Not found in this network', entries: unmatched },
+        { title: 'Ambiguous, use the systematic ID', entries: ambiguous },
+        { title: 'Not selectable (no edges)', entries: unavailable }
+    ].filter(group => group.entries.length > 0);
+    
+    if (groups.length === 0) {
+        bulkReport.style.display = 'none';
+        return;
+    }
+    
+    groups.forEach(group => {
+        const summary = document.createElement('div');
+        summary.className = 'load-report-summary';
+        summary.textContent = `${group.title} (${group.entries.length}):`;
+        bulkReport.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        group.entries.slice(0, MAX_REPORTED_PROBLEMS).forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = entry;
+            list.appendChild(item);
+        });
+        if (group.entries.length > MAX_REPORTED_PROBLEMS) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${group.entries.length - MAX_REPORTED_PROBLEMS} more`;
+            list.appendChild(more);
+        }
+        bulkReport.appendChild(list);
+    });
+    bulkReport.style.display = 'block';
+}
+
+// Index the common names of all TFs and genes in the current network
+function buildNameIndex() {
+    nameIndex = new Map();
+    const addName = (commonName, id) => addToNameIndex(nameIndex, commonName, id);
+    
+    Object.entries(tfToCommonName).forEach(([id, commonName]) => addName(commonName, id));
+    Object.entries(geneToCommonName).forEach(([id, commonName]) => addName(commonName, id));
+    
+    // Aliases from a loaded gene annotation table resolve like common names
+    geneAnnotations.forEach((annotation, id) => {
+        if (tfSet.has(id) || geneSet.has(id)) {
+            annotation.aliases.forEach(alias => addName(alias, id));
+        }
+    });
+}
+
+// Resolve user-typed text to the systematic names it could mean within a set of known IDs
+function resolveGeneIdentifier(text, knownSet) {
+    return resolveNetworkId(text, knownSet, nameIndex);
+}
+
+// Display name for any node, matching the labels used in the graph
+function getNodeDisplayName(id, isRegulator) {
+    if (isRegulator) return getTFDisplayName(id);
+    return geneToCommonName[id] || id;
+}
+
+// Fill the path finder suggestion lists for the current network
+function populatePathFinderOptions() {
+    const fillOptions = (listId, ids, nameMap) => {
+        const list = document.getElementById(listId);
+        list.innerHTML = '';
+        Array.from(ids).sort().forEach(id => {
+            const option = document.createElement('option');
+            const commonName = nameMap[id] || id;
+            option.value = commonName !== id ? `${commonName} (${id})` : id;
+            list.appendChild(option);
+        });
+    };
+    
+    fillOptions('path-tf-options', tfSet, tfToCommonName);
+    fillOptions('path-gene-options', geneSet, geneToCommonName);
+    pathResults.style.display = 'none';
+    pathResults.innerHTML = '';
+}
+
+// Find the shortest and top-k highest-confidence paths between the chosen genes
+function findPathsFromInputs() {
+    const sources = resolveGeneIdentifier(pathSourceInput.value, tfSet);
+    const targets = resolveGeneIdentifier(pathTargetInput.value, geneSet);
+    
+    if (sources.length !== 1) {
+        alert(sources.length === 0
+            ? `"${pathSourceInput.value}" is not a TF in this network.`
+            : `"${pathSourceInput.value}" matches several TFs: ${sources.join(', ')}. Please use the systematic ID.`);
+        return;
+    }
+    if (targets.length !== 1) {
+        alert(targets.length === 0
+            ? `"${pathTargetInput.value}" is not a target gene in this network.`
+            : `"${pathTargetInput.value}" matches several genes: ${targets.join(', ')}. Please use the systematic ID.`);
+        return;
+    }
+    
+    if (sources[0] === targets[0]) {
+        alert('Please choose a target gene different from the source TF.');
+        return;
+    }
+    
+    const k = parseInt(pathCountInput.value, 10);
+    if (isNaN(k) || k < 1 || k > 20) {
+        alert('Please choose between 1 and 20 paths.');
+        return;
+    }
+    
+    const minConfidence = getMinConfidence();
+    const adjacency = getThresholdAdjacency(minConfidence);
+    const source = sources[0];
+    const target = targets[0];
+    
+    console.log(`PATHS: searching ${source} -> ${target} at confidence >= ${minConfidence}, k = ${k}`);
+    
+    const { shortest, topPaths } = findPaths(adjacency, source, target, k);
+    
+    showPathResults(source, target, shortest, topPaths, minConfidence);
+}
+
+// List the paths found, each one clickable to render it
+function showPathResults(source, target, shortest, topPaths, minConfidence) {
+    pathResults.innerHTML = '';
+    pathResults.style.display = 'block';
+    
+    if (!shortest) {
+        const message = document.createElement('div');
+        message.className = 'path-empty';
+        message.textContent = `No directed path from ${getTFDisplayName(source)} to ${getNodeDisplayName(target, false)} at confidence >= ${minConfidence.toFixed(2)}.`;
+        pathResults.appendChild(message);
+        return;
+    }
+    
+    const addHeading = text => {
+        const heading = document.createElement('div');
+        heading.className = 'path-heading';
+        heading.textContent = text;
+        pathResults.appendChild(heading);
+    };
+    
+    const addPath = (path, index) => {
+        const item = document.createElement('div');
+        item.className = 'path-item';
+        
+        const names = path.nodes.map((id, position) => getNodeDisplayName(id, position === 0));
+        const steps = path.edges.length;
+        const netSign = isSignedNetwork ? ` · net ${getSignLabel(getCascadeSign(path.edges))}` : '';
+        item.innerHTML = `<div>${index}. ${names.map(escapeHtml).join(' → ')}</div>` +
+                         `<div class="path-meta">${steps} step${steps === 1 ? '' : 's'} · weight ${getPathWeight(path).toFixed(3)}${netSign}</div>`;
+        item.title = 'Show this path in the network view';
+        item.addEventListener('click', () => {
+            pathResults.querySelectorAll('.path-item').forEach(other => other.classList.remove('active'));
+            item.classList.add('active');
+            showPathInNetwork(path);
+        });
+        pathResults.appendChild(item);
+    };
+    
+    addHeading('Shortest path');
+    addPath(shortest, 1);
+    
+    addHeading(`Top ${topPaths.length} by confidence`);
+    topPaths.forEach((path, index) => addPath(path, index + 1));
+}
+
+// Render only the nodes and edges of a path, with the path highlighted
+function showPathInNetwork(path) {
+    if (isLargeNetworkWarningVisible) {
+        console.log('PATHS: Ignoring path selection while large network warning is displayed');
+        return;
+    }
+    
+    // Select exactly the path: every node but the last regulates, every node but the first is a target
+    restoreSelections(tfContainer, path.nodes.slice(0, -1), selectedTFs);
+    restoreSelections(geneContainer, path.nodes.slice(1), selectedGenes);
+    preLargeNetworkState = null;
+    lastChangeInfo = null;
+    updateInstructionVisibility();
+    
+    visualizeNetwork();
+    
+    // Drop edges between path nodes that are not steps of the path
+    const pathEdgeIds = new Set(path.edges.map(row => `${row.REGULATOR}-${row.TARGET}`));
+    cy.edges().filter(edge => !pathEdgeIds.has(edge.id())).remove();
+    
+    cy.elements().addClass('path-highlight');
+    cy.fit(cy.elements(), 50);
+}
+
+// Remove the path highlight from the graph
+function clearPathResultHighlight() {
+    if (cy) {
+        cy.elements().removeClass('path-highlight');
+    }
+}
+
+// Statistics panel scope ('map' for the whole network, 'view' for the rendered graph)
+let statisticsScope = 'map';
+let statisticsTimeout = null;
+
+// Show or hide the statistics panel
+function toggleStatisticsPanel() {
+    const isVisible = statsPanel.style.display !== 'none';
+    statsPanel.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) {
+        updateStatisticsPanel();
+    }
+}
+
+// Batch the many add/remove events of one render into a single update
+function scheduleStatisticsUpdate() {
+    if (statisticsScope !== 'view' || statsPanel.style.display === 'none') return;
+    
+    clearTimeout(statisticsTimeout);
+    statisticsTimeout = setTimeout(updateStatisticsPanel, 100);
+}
+
+// Edges and nodes the statistics are computed for
+function getStatisticsInput() {
+    if (statisticsScope === 'view') {
+        return {
+            edges: cy ? cy.edges('[confidence]').map(edge => ({
+                REGULATOR: edge.source().id(),
+                TARGET: edge.target().id(),
+                VALUE: edge.data('confidence')
+            })) : [],
+            nodeIds: cy ? cy.nodes().map(node => node.id()) : []
+        };
+    }
+    
+    const minConfidence = getMinConfidence();
+    const edges = [];
+    getThresholdAdjacency(minConfidence).byRegulator.forEach(rows => rows.forEach(row => edges.push(row)));
+    return { edges: edges, nodeIds: [] };
+}
+
+// Horizontal bar chart as HTML, one row per bin
+function renderBarChart(bins) {
+    const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+    return '<div class="bar-chart">' + bins.map(bin =>
+        `<div class="bar-row"><span class="bar-label">${escapeHtml(bin.label)}</span>` +
+        `<span class="bar-track"><span class="bar-fill" style="width: ${(100 * bin.count / maxCount).toFixed(1)}%;"></span></span>` +
+        `<span class="bar-count">${bin.count}</span></div>`
+    ).join('') + '</div>';
+}
+
+// Recompute and redraw the statistics for the chosen scope
+function updateStatisticsPanel() {
+    if (statsPanel.style.display === 'none') return;
+    
+    const { edges, nodeIds } = getStatisticsInput();
+    const stats = computeNetworkStatistics(edges, nodeIds, tfSet);
+    const minConfidence = getMinConfidence();
+    
+    if (statisticsScope === 'view' && stats.nodeCount === 0) {
+        statsContent.innerHTML = '<p class="hint-text">No network is rendered.</p>';
+        return;
+    }
+    
+    const scopeText = statisticsScope === 'view'
+        ? 'Rendered subgraph'
+        : `Whole map at confidence >= ${minConfidence.toFixed(2)}`;
+    
+    const hubRows = stats.hubs.map(([tf, degree]) =>
+        `<tr><td>${escapeHtml(getTFDisplayName(tf))}</td><td>${degree}</td></tr>`).join('');
+    
+    const pairNames = stats.reciprocalPairs.map(([a, b]) =>
+        `${escapeHtml(getNodeDisplayName(a, true))} ⇄ ${escapeHtml(getNodeDisplayName(b, true))}`);
+    
+    statsContent.innerHTML = `
+        <p class="stats-scope">${escapeHtml(scopeText)}</p>
+        <table class="summary-table">
+            <tbody>
+                <tr><td>Nodes</td><td>${stats.nodeCount}</td></tr>
+                <tr><td>Edges</td><td>${stats.edgeCount}</td></tr>
+                <tr><td>Regulators with targets</td><td>${stats.regulatorCount}</td></tr>
+                <tr><td>Regulated genes</td><td>${stats.targetCount}</td></tr>
+                <tr><td>TF → TF edges</td><td>${stats.tfToTFEdges}</td></tr>
+                <tr><td>Reciprocal pairs</td><td>${stats.reciprocalPairs.length}</td></tr>
+                <tr><td>Connected components</td><td>${stats.componentCount}</td></tr>
+                <tr><td>Largest component</td><td>${stats.largestComponent} nodes</td></tr>
+            </tbody>
+        </table>
+        <h4>Top hub TFs (out-degree)</h4>
+        <table class="summary-table"><tbody>${hubRows}</tbody></table>
+        <h4>Reciprocal regulation</h4>
+        <p class="stats-list">${pairNames.length > 0 ? pairNames.join(', ') : 'None'}</p>
+        <h4>Out-degree distribution (TFs)</h4>
+        ${renderBarChart(stats.outDegreeBins)}
+        <h4>In-degree distribution (targets)</h4>
+        ${renderBarChart(stats.inDegreeBins)}
+        <h4>Confidence VALUE histogram</h4>
+        ${renderBarChart(stats.valueBins)}
+    `;
+}
+
+// Annotation terms loaded for enrichment: term ID -> { id, name, genes }
+let annotationTerms = new Map();
+let annotationFileName = null;
+
+// Last enrichment results and how the table is sorted
+let enrichmentRows = [];
+let enrichmentSort = { key: 'pValue', ascending: true };
+let enrichmentSummaryText = '';
+
+// Load a gene -> term annotation file (two/three-column TSV or GMT)
+function loadAnnotationFile(file) {
+    console.log('Loading annotation file', file.name);
+    readTextFile(file, text => applyAnnotationFile(text, file.name));
+}
+
+// Use the text of a term annotation file for enrichment, returning whether it annotated any network gene
+function applyAnnotationFile(text, fileName) {
+    const results = Papa.parse(text, { delimiter: '\t', header: false, skipEmptyLines: true });
+    const isGMT = /\.gmt$/i.test(fileName);
+    const parsed = isGMT ? parseGMTAnnotations(results.data) : parseTSVAnnotations(results.data);
+    
+    if (parsed.terms.size === 0) {
+        alert(`No annotations for genes in this network were found in ${fileName}. ` +
+              'Expected gene ID and term columns (TSV) or term, description and gene IDs (GMT).');
+        return false;
+    }
+    
+    annotationTerms = parsed.terms;
+    annotationFileName = fileName;
+    loadedOverlayFiles.set('annotations', { fileName: fileName, text: text });
+    annotationInfo.textContent = `${fileName}: ${parsed.terms.size} terms, ${parsed.geneCount} annotated genes` +
+        (parsed.unmatched > 0 ? ` (${parsed.unmatched} IDs not in the network)` : '');
+    console.log(`Loaded ${parsed.terms.size} terms; ${parsed.unmatched} unmatched gene IDs`);
+    return true;
+}
+
+// Map an annotation gene ID (e.g. CNAG_00349 or CNAG_00349-t26_1) to a gene in the network
+function resolveAnnotationGeneId(rawId, knownGenes) {
+    const matches = resolveGeneIdentifier(rawId, knownGenes);
+    if (matches.length === 1) return matches[0];
+    
+    // Fall back to the gene number without transcript suffixes
+    const numberMatch = /^(?:CNAG_)?(\d+)/i.exec(rawId.trim());
+    if (numberMatch) {
+        const padded = numberMatch[1].padStart(5, '0');
+        if (knownGenes.has(padded)) return padded;
+    }
+    return null;
+}
+
+// Add a gene to a term, creating the term on first use
+function addAnnotation(terms, termId, termName, geneId) {
+    if (!terms.has(termId)) {
+        terms.set(termId, { id: termId, name: termName || termId, genes: new Set() });
+    }
+    const term = terms.get(termId);
+    if (termName && term.name === termId) term.name = termName;
+    term.genes.add(geneId);
+}
+
+// TSV annotations: gene ID, term ID and optionally a term description per row
+function parseTSVAnnotations(rows) {
+    const knownGenes = new Set([...geneSet, ...tfSet]);
+    const terms = new Map();
+    const annotatedGenes = new Set();
+    let unmatched = 0;
+    
+    rows.forEach((row, index) => {
+        if (row.length < 2) return;
+        const geneId = resolveAnnotationGeneId(row[0], knownGenes);
+        if (!geneId) {
+            // A first row naming no gene is a header ("gene_id  term"), not an unmatched ID
+            if (index > 0) unmatched++;
+            return;
+        }
+        addAnnotation(terms, row[1].trim(), row[2] ? row[2].trim() : '', geneId);
+        annotatedGenes.add(geneId);
+    });
+    
+    return { terms: terms, geneCount: annotatedGenes.size, unmatched: unmatched };
+}
+
+// GMT annotations: term name, description, then one gene ID per column
+function parseGMTAnnotations(rows) {
+    const knownGenes = new Set([...geneSet, ...tfSet]);
+    const terms = new Map();
+    const annotatedGenes = new Set();
+    let unmatched = 0;
+    
+    rows.forEach(row => {
+        if (row.length < 3) return;
+        const termId = row[0].trim();
+        const description = row[1].trim();
+        
+        row.slice(2).forEach(rawId => {
+            if (!rawId.trim()) return;
+            const geneId = resolveAnnotationGeneId(rawId, knownGenes);
+            if (!geneId) {
+                unmatched++;
+                return;
+            }
+            // Many GMT files put a URL in the description column, prefer the term name then
+            addAnnotation(terms, termId, /^https?:/.test(description) ? termId : description, geneId);
+            annotatedGenes.add(geneId);
+        });
+    });
+    
+    return { terms: terms, geneCount: annotatedGenes.size, unmatched: unmatched };
+}
+
+// Natural log of n! for 0..maxN, built once per enrichment run
+function buildLogFactorials(maxN) {
+    const logFactorials = new Float64Array(maxN + 1);
+    for (let i = 2; i <= maxN; i++) {
+        logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+    }
+    return logFactorials;
+}
+
+// P(X >= k) for a hypergeometric draw of n genes from N, of which K carry the term
+function hypergeometricUpperTail(k, n, K, N, logFactorials) {
+    const logChoose = (a, b) => logFactorials[a] - logFactorials[b] - logFactorials[a - b];
+    const logTotal = logChoose(N, n);
+    let pValue = 0;
+    
+    for (let x = k; x <= Math.min(n, K); x++) {
+        if (n - x > N - K) continue;
+        pValue += Math.exp(logChoose(K, x) + logChoose(N - K, n - x) - logTotal);
+    }
+    
+    return Math.min(1, pValue);
+}
+
+// Benjamini-Hochberg adjusted p-values, in the order of the input
+function benjaminiHochberg(pValues) {
+    const order = pValues.map((p, index) => index).sort((a, b) => pValues[a] - pValues[b]);
+    const adjusted = new Array(pValues.length);
+    let runningMin = 1;
+    
+    for (let rank = order.length; rank >= 1; rank--) {
+        const index = order[rank - 1];
+        runningMin = Math.min(runningMin, pValues[index] * order.length / rank);
+        adjusted[index] = runningMin;
+    }
+    
+    return adjusted;
+}
+
+// Hypergeometric enrichment of a gene set against all targets in the network
+function computeEnrichment(queryGenes) {
+    const background = geneSet;
+    const query = Array.from(queryGenes).filter(gene => background.has(gene));
+    const N = background.size;
+    const n = query.length;
+    const querySet = new Set(query);
+    const logFactorials = buildLogFactorials(N);
+    
+    const tested = [];
+    annotationTerms.forEach(term => {
+        const termGenes = Array.from(term.genes).filter(gene => background.has(gene));
+        const K = termGenes.length;
+        if (K === 0) return;
+        
+        const members = termGenes.filter(gene => querySet.has(gene));
+        const k = members.length;
+        tested.push({
+            id: term.id,
+            name: term.name,
+            k: k,
+            n: n,
+            K: K,
+            N: N,
+            foldEnrichment: n > 0 ? (k / n) / (K / N) : 0,
+            pValue: k > 0 ? hypergeometricUpperTail(k, n, K, N, logFactorials) : 1,
+            members: members
+        });
+    });
+    
+    // Correct across every term tested, then keep only terms hit by the query
+    const fdr = benjaminiHochberg(tested.map(row => row.pValue));
+    tested.forEach((row, index) => { row.fdr = fdr[index]; });
+    
+    return { queryCount: n, rows: tested.filter(row => row.k > 0) };
+}
+
+// Targets of a TF at the current confidence threshold
+function getTFTargetsAtThreshold(tf) {
+    const minConfidence = getMinConfidence();
+    return new Set(getIndexedEdges(edgeIndex.byRegulator, tf, minConfidence, getEdgeRowFilter()).map(row => row.TARGET));
+}
+
+// Run enrichment for the targets of the TF typed in the enrichment box
+function runTFTargetEnrichment() {
+    if (!checkAnnotationsLoaded()) return;
+    
+    const matches = resolveGeneIdentifier(enrichmentTFInput.value, tfSet);
+    if (matches.length !== 1) {
+        alert(matches.length === 0
+            ? `"${enrichmentTFInput.value}" is not a TF in this network.`
+            : `"${enrichmentTFInput.value}" matches several TFs: ${matches.join(', ')}. Please use the systematic ID.`);
+        return;
+    }
+    
+    const tf = matches[0];
+    const targets = getTFTargetsAtThreshold(tf);
+    const label = `Targets of ${getTFDisplayName(tf)} at confidence >= ${getMinConfidence().toFixed(2)}`;
+    showEnrichmentResults(computeEnrichment(targets), label);
+}
+
+// Run enrichment for the nodes selected in the graph
+function runSelectionEnrichment() {
+    if (!checkAnnotationsLoaded()) return;
+    
+    const selectedNodes = cy ? cy.nodes(':selected') : [];
+    if (selectedNodes.length === 0) {
+        alert('Select nodes in the network first (click, shift+click a TF, or drag a box).');
+        return;
+    }
+    
+    const genes = new Set(selectedNodes.map(node => node.id()));
+    showEnrichmentResults(computeEnrichment(genes), `${selectedNodes.length} selected node(s)`);
+}
+
+// Make sure there is something to test against
+function checkAnnotationsLoaded() {
+    if (annotationTerms.size === 0) {
+        alert('Load an annotation file (TSV or GMT keyed by CNAG IDs) first.');
+        return false;
+    }
+    return true;
+}
+
+// Show the enrichment table for a query
+function showEnrichmentResults(result, label) {
+    enrichmentRows = result.rows;
+    enrichmentSort = { key: 'pValue', ascending: true };
+    clearEnrichmentHighlight();
+    
+    const significant = result.rows.filter(row => row.fdr <= ENRICHMENT_FDR_CUTOFF).length;
+    enrichmentSummaryText = `${label}: ${result.queryCount} genes in the background of ${geneSet.size} targets, ` +
+        `${result.rows.length} terms hit, ${significant} with FDR <= ${ENRICHMENT_FDR_CUTOFF} (${annotationFileName})`;
+    enrichmentSummary.textContent = enrichmentSummaryText;
+    
+    enrichmentPanel.style.display = 'block';
+    renderEnrichmentTable();
+}
+
+// Format small p-values in scientific notation
+function formatPValue(value) {
+    return value < 0.001 ? value.toExponential(2) : value.toFixed(3);
+}
+
+// Draw the enrichment table, sorted by the chosen column
+function renderEnrichmentTable() {
+    const { key, ascending } = enrichmentSort;
+    const rows = enrichmentRows.slice().sort((a, b) => {
+        const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return ascending ? order : -order;
+    });
+    
+    const columns = [
+        { key: 'name', label: 'Term' },
+        { key: 'k', label: 'Hits' },
+        { key: 'K', label: 'Size' },
+        { key: 'foldEnrichment', label: 'Fold' },
+        { key: 'pValue', label: 'P' },
+        { key: 'fdr', label: 'FDR' }
+    ];
+    
+    const table = document.createElement('table');
+    table.className = 'summary-table sortable-table';
+    
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label + (column.key === key ? (ascending ? ' ▲' : ' ▼') : '');
+        th.addEventListener('click', () => {
+            enrichmentSort = {
+                key: column.key,
+                ascending: column.key === key ? !ascending : column.key === 'name' || column.key === 'pValue' || column.key === 'fdr'
+            };
+            renderEnrichmentTable();
+        });
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = row.fdr <= ENRICHMENT_FDR_CUTOFF ? 'significant-row' : '';
+        tr.title = `${row.id}: ${row.k} of ${row.n} query genes, ${row.K} of ${row.N} background genes. Click to highlight members.`;
+        tr.innerHTML = `<td>${escapeHtml(row.name)}</td><td>${row.k}</td><td>${row.K}</td>` +
+                       `<td>${row.foldEnrichment.toFixed(2)}</td><td>${formatPValue(row.pValue)}</td><td>${formatPValue(row.fdr)}</td>`;
+        tr.addEventListener('click', () => {
+            tbody.querySelectorAll('tr').forEach(other => other.classList.remove('active'));
+            tr.classList.add('active');
+            highlightEnrichmentTerm(row);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    enrichmentResults.innerHTML = '';
+    enrichmentResults.appendChild(table);
+}
+
+// Highlight the query genes annotated with a term in the graph
+function highlightEnrichmentTerm(row) {
+    clearEnrichmentHighlight();
+    if (!cy) return;
+    
+    const memberSet = new Set(row.members);
+    const nodes = cy.nodes().filter(node => memberSet.has(node.id()));
+    nodes.addClass('enrichment-highlight');
+    console.log(`ENRICHMENT: highlighted ${nodes.length} of ${row.members.length} members of ${row.id}`);
+    
+    // Members outside the rendered view cannot be highlighted, say so
+    enrichmentSummary.textContent = nodes.length < row.members.length
+        ? `${enrichmentSummaryText}. ${nodes.length} of ${row.members.length} members of ${row.name} are in the current view.`
+        : enrichmentSummaryText;
+}
+
+// Remove the enrichment highlight from the graph
+function clearEnrichmentHighlight() {
+    if (cy) {
+        cy.nodes().removeClass('enrichment-highlight');
+    }
+}
+
+// Layout options for the chosen algorithm, applied to the given elements
+function getLayoutOptions(layoutName, eles) {
+    const common = { animate: false, fit: true, padding: 30 };
+    
+    switch (layoutName) {
+        case 'concentric':
+            // Hubs in the middle, sparsely connected nodes on the outer rings
+            return Object.assign(common, {
+                name: 'concentric',
+                concentric: node => node.degree(),
+                levelWidth: nodes => Math.max(1, nodes.maxDegree() / 4),
+                minNodeSpacing: 20
+            });
+        case 'hierarchical':
+            return Object.assign(common, {
+                name: 'breadthfirst',
+                directed: true,
+                roots: getHierarchyRoots(eles),
+                spacingFactor: 1.2
+            });
+        case 'circle':
+            return Object.assign(common, { name: 'circle' });
+        case 'grid':
+            return Object.assign(common, { name: 'grid' });
+        case 'bipartite': {
+            const positions = getBipartitePositions(eles);
+            return Object.assign(common, {
+                name: 'preset',
+                positions: node => positions.get(node.id())
+            });
+        }
+        default:
+            return Object.assign(common, {
+                name: 'cose',
+                nodeOverlap: 20,
+                refresh: 20,
+                randomize: true,
+                componentSpacing: 100,
+                nodeRepulsion: 400000,
+                edgeElasticity: 100,
+                nestingFactor: 5,
+                gravity: 80,
+                numIter: 1000,
+                initialTemp: 200,
+                coolingFactor: 0.95,
+                minTemp: 1.0
+            });
+    }
+}
+
+// Top layer of the hierarchical layout: nodes nobody in the view regulates
+// (in a fully cyclic view, the TF with the most targets)
+function getHierarchyRoots(eles) {
+    const nodes = eles.nodes();
+    const roots = nodes.filter(node => node.incomers('edge').intersection(eles).length === 0);
+    if (roots.length > 0) return roots;
+    
+    return nodes.max(node => node.outgoers('edge').intersection(eles).length).ele;
+}
+
+// Regulators in a column on the left, targets in columns on the right
+function getBipartitePositions(eles) {
+    const byName = (a, b) => a.data('name').localeCompare(b.data('name'));
+    const nodes = eles.nodes();
+    const regulators = nodes.filter(node => node.outgoers('edge').intersection(eles).length > 0).sort(byName);
+    const targets = nodes.difference(regulators).sort(byName);
+    
+    const rowSpacing = 50;
+    const columnSpacing = 150;
+    const rowsPerColumn = Math.max(regulators.length, 40);
+    const positions = new Map();
+    
+    regulators.forEach((node, i) => positions.set(node.id(), { x: 0, y: i * rowSpacing }));
+    targets.forEach((node, i) => positions.set(node.id(), {
+        x: 400 + Math.floor(i / rowsPerColumn) * columnSpacing,
+        y: (i % rowsPerColumn) * rowSpacing
+    }));
+    
+    return positions;
+}
+
+// Position the rendered nodes: reuse remembered positions and only place new nodes,
+// or run the chosen layout on everything (pinned nodes stay put either way)
+function layoutNetwork(isFullLayout) {
+    const fullLayout = isFullLayout || positionsLayoutName !== currentLayoutName;
+    const knownNodes = cy.nodes().filter(node => nodePositions.has(node.id()));
+    
+    if (!fullLayout && knownNodes.length > 0) {
+        knownNodes.forEach(node => node.position(nodePositions.get(node.id())));
+        placeNewNodes(cy.nodes().difference(knownNodes), knownNodes);
+        console.log(`LAYOUT: kept ${knownNodes.length} positions, placed ${cy.nodes().length - knownNodes.length} new nodes`);
+    } else {
+        cy.nodes().forEach(node => {
+            if (pinnedNodeIds.has(node.id()) && nodePositions.has(node.id())) {
+                node.position(nodePositions.get(node.id()));
+                node.lock();
+            }
+        });
+        cy.layout(getLayoutOptions(currentLayoutName, cy.elements())).run();
+        console.log(`LAYOUT: ran ${currentLayoutName} on ${cy.nodes().length} nodes`);
+    }
+    
+    // Pinned nodes are locked so neither dragging nor later layouts move them
+    cy.nodes().forEach(node => {
+        if (pinnedNodeIds.has(node.id())) {
+            node.lock();
+            node.addClass('pinned');
+        }
+    });
+    
+    positionsLayoutName = currentLayoutName;
+    rememberNodePositions();
+}
+
+// Place nodes that have no remembered position
+// Nodes linked to already placed nodes go around them, the rest get their own layout beside the graph
+function placeNewNodes(newNodes, placedNodes) {
+    if (newNodes.length === 0) return;
+    
+    const newIds = new Set(newNodes.map(node => node.id()));
+    const unanchored = [];
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    
+    newNodes.forEach((node, i) => {
+        const anchors = node.neighborhood('node').filter(neighbor => !newIds.has(neighbor.id()));
+        if (anchors.length === 0) {
+            unanchored.push(node);
+            return;
+        }
+        
+        const center = { x: 0, y: 0 };
+        anchors.forEach(anchor => {
+            center.x += anchor.position('x') / anchors.length;
+            center.y += anchor.position('y') / anchors.length;
+        });
+        
+        // Spread siblings on a spiral so they do not land on top of each other
+        const radius = 80 + 12 * Math.sqrt(i);
+        node.position({
+            x: center.x + radius * Math.cos(i * goldenAngle),
+            y: center.y + radius * Math.sin(i * goldenAngle)
+        });
+    });
+    
+    if (unanchored.length > 0) {
+        const group = cy.collection(unanchored);
+        const box = placedNodes.boundingBox();
+        const side = Math.max(300, Math.sqrt(group.length) * 80);
+        group.union(group.edgesWith(group)).layout(Object.assign(getLayoutOptions(currentLayoutName, group.union(group.edgesWith(group))), {
+            fit: false,
+            boundingBox: { x1: box.x2 + 100, y1: box.y1, w: side, h: Math.max(box.h, side) }
+        })).run();
+    }
+}
+
+// Remember where the rendered nodes are
+function rememberNodePositions() {
+    if (!cy) return;
+    cy.nodes().forEach(node => nodePositions.set(node.id(), Object.assign({}, node.position())));
+}
+
+// Forget all positions and pins (new network or a fresh start)
+function clearNodePositions() {
+    nodePositions = new Map();
+    pinnedNodeIds = new Set();
+    positionsLayoutName = null;
+}
+
+// Switch layout algorithm and re-run it on the current view
+function changeLayout(layoutName) {
+    currentLayoutName = layoutName;
+    console.log('Layout changed to', layoutName);
+    
+    if (isNetworkRendered) {
+        layoutNetwork(true);
+    }
+    scheduleUrlStateUpdate();
+}
+
+// Pin a node where it is, or release it
+function togglePinnedNode(nodeId) {
+    const node = cy.getElementById(nodeId);
+    if (node.empty()) return;
+    
+    if (pinnedNodeIds.has(nodeId)) {
+        pinnedNodeIds.delete(nodeId);
+        node.unlock();
+        node.removeClass('pinned');
+    } else {
+        pinnedNodeIds.add(nodeId);
+        nodePositions.set(nodeId, Object.assign({}, node.position()));
+        node.lock();
+        node.addClass('pinned');
+    }
+}
+
+// Download the positions of the rendered nodes (and which are pinned) as JSON
+function savePositionsFile() {
+    if (!isNetworkRendered) {
+        alert('There is no network to save positions for. Please select TFs and target genes first.');
+        return;
+    }
+    
+    rememberNodePositions();
+    const positions = {};
+    cy.nodes().forEach(node => {
+        const position = node.position();
+        positions[node.id()] = { x: Math.round(position.x * 100) / 100, y: Math.round(position.y * 100) / 100 };
+    });
+    
+    const content = JSON.stringify({
+        network: currentNetworkName,
+        layout: currentLayoutName,
+        positions: positions,
+        pinned: Array.from(pinnedNodeIds).filter(id => positions.hasOwnProperty(id))
+    }, null, 2);
+    
+    downloadFile(content, getExportBaseName() + '_positions.json', 'application/json');
+}
+
+// Load a positions file saved earlier, applying it to the view and any later renders
+function loadPositionsFile(file) {
+    file.text().then(text => {
+        let saved;
+        try {
+            saved = JSON.parse(text);
+        } catch (error) {
+            alert(`${file.name} is not a valid positions file: ${error.message}`);
+            return;
+        }
+        
+        if (!saved || typeof saved.positions !== 'object' || saved.positions === null) {
+            alert(`${file.name} does not contain node positions.`);
+            return;
+        }
+        
+        let count = 0;
+        Object.entries(saved.positions).forEach(([id, position]) => {
+            if (position && isFinite(position.x) && isFinite(position.y)) {
+                nodePositions.set(id, { x: Number(position.x), y: Number(position.y) });
+                count++;
+            }
+        });
+        (Array.isArray(saved.pinned) ? saved.pinned : []).forEach(id => {
+            if (nodePositions.has(id)) pinnedNodeIds.add(id);
+        });
+        
+        if (saved.network && saved.network !== currentNetworkName) {
+            console.log(`Positions were saved for ${saved.network}, applying to ${currentNetworkName}`);
+        }
+        console.log(`Loaded ${count} node positions from ${file.name}`);
+        
+        // Treat the file as the positions of the current layout, so only missing nodes get placed
+        positionsLayoutName = currentLayoutName;
+        if (isNetworkRendered) {
+            cy.nodes().forEach(node => node.unlock());
+            layoutNetwork(false);
+            cy.fit(undefined, 30);
+        }
+    });
+}
+
+// Module assignment of the last run: node ID -> module color, and the modules themselves
+let nodeModuleColors = new Map();
+let currentModules = [];
+
+// Edges to cluster: the whole map at the current threshold, or the rendered view
+function getClusteringEdges(scope) {
+    if (scope === 'view') {
+        return cy ? cy.edges('[confidence]').map(edge => ({
+            REGULATOR: edge.source().id(),
+            TARGET: edge.target().id(),
+            VALUE: edge.data('confidence')
+        })) : [];
+    }
+    
+    const edges = [];
+    getThresholdAdjacency(getMinConfidence()).byRegulator.forEach(rows => edges.push(...rows));
+    return edges;
+}
+
+// Undirected weighted graph with integer node indices, for the clustering algorithms
+// Edges in both directions between two genes are merged and their weights added
+function buildClusteringGraph(edges) {
+    const ids = [];
+    const indexById = new Map();
+    const indexOf = id => {
+        if (!indexById.has(id)) {
+            indexById.set(id, ids.length);
+            ids.push(id);
+        }
+        return indexById.get(id);
+    };
+    
+    const weights = [];
+    const selfWeight = [];
+    edges.forEach(row => {
+        const a = indexOf(row.REGULATOR);
+        const b = indexOf(row.TARGET);
+        while (weights.length < ids.length) {
+            weights.push(new Map());
+            selfWeight.push(0);
+        }
+        if (a === b) {
+            selfWeight[a] += row.VALUE;
+        } else {
+            weights[a].set(b, (weights[a].get(b) || 0) + row.VALUE);
+            weights[b].set(a, (weights[b].get(a) || 0) + row.VALUE);
+        }
+    });
+    
+    return { ids: ids, neighbors: weights.map(map => Array.from(map.entries())), selfWeight: selfWeight };
+}
+
+// Louvain modularity optimization: move nodes between communities while modularity improves,
+// then merge each community into one node and repeat. Returns a community number per node
+function louvainCommunities(graph) {
+    let neighbors = graph.neighbors;
+    let selfWeight = graph.selfWeight;
+    let membership = graph.ids.map((id, i) => i);
+    
+    while (true) {
+        const n = neighbors.length;
+        const degree = neighbors.map((list, i) => list.reduce((sum, [, w]) => sum + w, 2 * selfWeight[i]));
+        const totalWeight = degree.reduce((sum, d) => sum + d, 0) / 2;
+        if (totalWeight === 0) break;
+        
+        const community = neighbors.map((list, i) => i);
+        const communityDegree = degree.slice();
+        let movedAny = false;
+        
+        // Local moves until a full pass changes nothing
+        for (let pass = 0; pass < 50; pass++) {
+            let moved = false;
+            for (let i = 0; i < n; i++) {
+                const current = community[i];
+                communityDegree[current] -= degree[i];
+                
+                const linkWeights = new Map([[current, 0]]);
+                neighbors[i].forEach(([j, w]) => {
+                    linkWeights.set(community[j], (linkWeights.get(community[j]) || 0) + w);
+                });
+                
+                let best = current;
+                let bestGain = linkWeights.get(current) - communityDegree[current] * degree[i] / (2 * totalWeight);
+                linkWeights.forEach((w, c) => {
+                    const gain = w - communityDegree[c] * degree[i] / (2 * totalWeight);
+                    if (gain > bestGain + 1e-12) {
+                        best = c;
+                        bestGain = gain;
+                    }
+                });
+                
+                communityDegree[best] += degree[i];
+                if (best !== current) {
+                    community[i] = best;
+                    moved = true;
+                    movedAny = true;
+                }
+            }
+            if (!moved) break;
+        }
+        
+        if (!movedAny) break;
+        
+        // Renumber communities and fold the graph into one node per community
+        const renumber = new Map();
+        community.forEach(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+        });
+        membership = membership.map(i => renumber.get(community[i]));
+        
+        const merged = Array.from({ length: renumber.size }, () => new Map());
+        const mergedSelf = new Array(renumber.size).fill(0);
+        for (let i = 0; i < n; i++) {
+            const a = renumber.get(community[i]);
+            mergedSelf[a] += selfWeight[i];
+            neighbors[i].forEach(([j, w]) => {
+                const b = renumber.get(community[j]);
+                if (a === b) {
+                    // Each internal edge is seen from both ends
+                    mergedSelf[a] += w / 2;
+                } else {
+                    merged[a].set(b, (merged[a].get(b) || 0) + w);
+                }
+            });
+        }
+        
+        neighbors = merged.map(map => Array.from(map.entries()));
+        selfWeight = mergedSelf;
+    }
+    
+    return membership;
+}
+
+// Markov clustering: alternate expansion (squaring the random walk matrix) and inflation
+// (raising entries to a power) until the matrix settles. Columns are kept sparse and pruned
+function mclCommunities(graph, inflation) {
+    const n = graph.ids.length;
+    
+    // Column-stochastic matrix stored as one Map (row -> value) per column, with self loops
+    // as heavy as the strongest edge of each node so they do not swamp weak confidences
+    const normalize = column => {
+        let total = 0;
+        column.forEach(value => { total += value; });
+        column.forEach((value, row) => column.set(row, value / total));
+        return column;
+    };
+    let columns = graph.neighbors.map((list, j) => {
+        const loopWeight = list.reduce((max, [, w]) => Math.max(max, w), graph.selfWeight[j]) || 1;
+        return normalize(new Map([[j, loopWeight], ...list]));
+    });
+    
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let change = 0;
+        
+        const next = columns.map((column, j) => {
+            // Expansion: column j of M * M
+            const expanded = new Map();
+            column.forEach((weight, k) => {
+                columns[k].forEach((value, row) => {
+                    expanded.set(row, (expanded.get(row) || 0) + value * weight);
+                });
+            });
+            
+            // Inflation and pruning of negligible or excess entries
+            const inflated = Array.from(expanded.entries())
+                .map(([row, value]) => [row, Math.pow(value, inflation)])
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MCL_MAX_COLUMN_ENTRIES);
+            const result = normalize(new Map(inflated.filter(([, value]) => value >= inflated[0][1] * 1e-4)));
+            
+            result.forEach((value, row) => { change = Math.max(change, Math.abs(value - (column.get(row) || 0))); });
+            return result;
+        });
+        
+        columns = next;
+        if (change < 1e-6) break;
+    }
+    
+    // Each node joins the attractor holding most of its column
+    const membership = new Array(n);
+    const renumber = new Map();
+    columns.forEach((column, j) => {
+        let attractor = j;
+        let bestValue = -1;
+        column.forEach((value, row) => {
+            if (value > bestValue) {
+                attractor = row;
+                bestValue = value;
+            }
+        });
+        if (!renumber.has(attractor)) renumber.set(attractor, renumber.size);
+        membership[j] = renumber.get(attractor);
+    });
+    
+    return membership;
+}
+
+// Newman modularity of a partition of the clustering graph
+function computeModularity(graph, membership) {
+    const internal = new Map();
+    const totals = new Map();
+    let totalWeight = 0;
+    
+    graph.neighbors.forEach((list, i) => {
+        const c = membership[i];
+        let degree = 2 * graph.selfWeight[i];
+        internal.set(c, (internal.get(c) || 0) + graph.selfWeight[i]);
+        list.forEach(([j, w]) => {
+            degree += w;
+            if (membership[j] === c) internal.set(c, internal.get(c) + w / 2);
+        });
+        totals.set(c, (totals.get(c) || 0) + degree);
+        totalWeight += degree;
+    });
+    
+    totalWeight /= 2;
+    if (totalWeight === 0) return 0;
+    
+    let modularity = 0;
+    totals.forEach((total, c) => {
+        modularity += internal.get(c) / totalWeight - Math.pow(total / (2 * totalWeight), 2);
+    });
+    return modularity;
+}
+
+// Run the chosen clustering method and show the modules
+function findModules() {
+    const method = clusterMethodSelect.value;
+    const scope = clusterScopeSelect.value;
+    
+    if (scope === 'view' && !isNetworkRendered) {
+        alert('There is no rendered network to cluster. Select TFs and target genes, or cluster the whole map.');
+        return;
+    }
+    
+    const inflation = parseFloat(mclInflationInput.value);
+    if (method === 'mcl' && (isNaN(inflation) || inflation <= 1)) {
+        alert('MCL inflation must be a number greater than 1 (2 is a common choice).');
+        return;
+    }
+    
+    const edges = getClusteringEdges(scope);
+    if (edges.length === 0) {
+        alert('There are no edges to cluster at the current confidence threshold.');
+        return;
+    }
+    
+    loading.style.display = 'flex';
+    loadingText.textContent = `Finding modules (${method === 'mcl' ? 'MCL' : 'Louvain'})...`;
+    
+    // Let the loading message paint before the clustering blocks the page
+    setTimeout(() => {
+        const graph = buildClusteringGraph(edges);
+        const membership = method === 'mcl' ? mclCommunities(graph, inflation) : louvainCommunities(graph);
+        const modularity = computeModularity(graph, membership);
+        
+        currentModules = describeModules(graph, membership, edges);
+        console.log(`MODULES: ${method} found ${currentModules.length} modules on ${graph.ids.length} nodes, Q = ${modularity.toFixed(3)}`);
+        
+        nodeModuleColors = new Map();
+        currentModules.forEach((module, rank) => {
+            module.color = MODULE_COLORS[Math.min(rank, MODULE_COLORS.length - 1)];
+            module.members.forEach(id => nodeModuleColors.set(id, module.color));
+        });
+        applyModuleColors();
+        
+        const listed = currentModules.filter(module => module.members.length >= MIN_MODULE_SIZE).length;
+        modulesInfo.textContent = `${method === 'mcl' ? `MCL (inflation ${inflation})` : 'Louvain'} on ` +
+            `${scope === 'view' ? 'the current view' : 'the whole map'}: ${currentModules.length} modules, ` +
+            `${listed} with ${MIN_MODULE_SIZE}+ genes, modularity ${modularity.toFixed(3)}`;
+        
+        loading.style.display = 'none';
+        renderModulesPanel();
+    }, 0);
+}
+
+// Members, TFs and the regulators with most edges into each module, largest module first
+function describeModules(graph, membership, edges) {
+    const modules = new Map();
+    membership.forEach((moduleId, i) => {
+        if (!modules.has(moduleId)) modules.set(moduleId, { members: [], regulatorCounts: new Map() });
+        modules.get(moduleId).members.push(graph.ids[i]);
+    });
+    
+    const moduleOf = new Map(graph.ids.map((id, i) => [id, membership[i]]));
+    edges.forEach(row => {
+        const counts = modules.get(moduleOf.get(row.TARGET)).regulatorCounts;
+        counts.set(row.REGULATOR, (counts.get(row.REGULATOR) || 0) + 1);
+    });
+    
+    return Array.from(modules.values())
+        .map(module => ({
+            members: module.members,
+            regulators: Array.from(module.regulatorCounts.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+        }))
+        .sort((a, b) => b.members.length - a.members.length);
+}
+
+// Color the rendered nodes by module (nodes outside the last clustering keep their normal look)
+function applyModuleColors() {
+    if (!cy) return;
+    cy.nodes().forEach(node => {
+        const color = nodeModuleColors.get(node.id());
+        if (color) {
+            node.data('moduleColor', color);
+        } else {
+            node.removeData('moduleColor');
+        }
+    });
+}
+
+// Forget the modules and remove their colors
+function clearModules() {
+    nodeModuleColors = new Map();
+    currentModules = [];
+    applyModuleColors();
+    modulesInfo.textContent = 'No modules computed';
+    modulesList.innerHTML = '';
+    modulesPanel.style.display = 'none';
+}
+
+// List the modules with their members and dominant regulators
+function renderModulesPanel() {
+    modulesList.innerHTML = '';
+    
+    const listed = currentModules.filter(module => module.members.length >= MIN_MODULE_SIZE);
+    if (listed.length === 0) {
+        modulesList.innerHTML = `<p class="path-empty">No modules with ${MIN_MODULE_SIZE} or more genes.</p>`;
+    }
+    
+    listed.forEach((module, index) => {
+        const item = document.createElement('div');
+        item.className = 'module-item';
+        
+        const tfCount = module.members.filter(id => tfSet.has(id)).length;
+        const regulators = module.regulators
+            .map(([tf, count]) => `${escapeHtml(getTFDisplayName(tf))} (${count})`)
+            .join(', ');
+        const memberNames = module.members
+            .map(id => getNodeDisplayName(id, tfSet.has(id) && !geneSet.has(id)))
+            .sort((a, b) => a.localeCompare(b));
+        
+        item.innerHTML = `
+            <div class="module-header">
+                <span class="module-swatch" style="background-color: ${module.color};"></span>
+                <strong>Module ${index + 1}</strong>
+                <span class="path-meta">${module.members.length} genes, ${tfCount} TFs</span>
+            </div>
+            <div class="path-meta">Top regulators: ${regulators || 'none'}</div>
+            <details>
+                <summary>Members</summary>
+                <div class="module-members">${memberNames.map(escapeHtml).join(', ')}</div>
+            </details>`;
+        
+        const selectButton = document.createElement('button');
+        selectButton.textContent = 'Select Module';
+        selectButton.addEventListener('click', () => selectModule(module));
+        item.appendChild(selectButton);
+        
+        modulesList.appendChild(item);
+    });
+    
+    modulesPanel.style.display = 'block';
+}
+
+// Replace the selection with a module: its genes as targets, and its TFs plus top regulators as TFs
+function selectModule(module) {
+    if (isLargeNetworkWarningVisible) {
+        alert('Please respond to the large network warning first.');
+        return;
+    }
+    
+    const tfs = new Set(module.members.filter(id => tfSet.has(id)));
+    module.regulators.forEach(([tf]) => tfs.add(tf));
+    const genes = module.members.filter(id => geneSet.has(id));
+    
+    console.log(`MODULES: selecting ${tfs.size} TFs and ${genes.length} genes`);
+    clearSelectionForReplace(true, true);
+    addToSelection(Array.from(tfs), genes, 'This module is already selected.');
+}
+
+// Fill the edge styling menus with the extra columns of the loaded network
+function updateEdgeStyleControls() {
+    [edgeColorColumnSelect, edgeDashColumnSelect].forEach(select => {
+        const previous = select.value;
+        select.innerHTML = '<option value="">None</option>';
+        extraEdgeColumns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            select.appendChild(option);
+        });
+        select.value = extraEdgeColumns.includes(previous) ? previous : '';
+        select.disabled = extraEdgeColumns.length === 0;
+    });
+    
+    applyEdgeStyling();
+}
+
+// Whether an extra column holds numbers, its range, and its values from most to least common
+function getEdgeColumnSummary(column) {
+    if (edgeColumnSummaries.has(column)) return edgeColumnSummaries.get(column);
+    
+    const counts = new Map();
+    let isNumeric = true;
+    let min = Infinity;
+    let max = -Infinity;
+    
+    networkData.forEach(row => {
+        const text = row.extra ? row.extra[column] : undefined;
+        if (text === undefined) return;
+        counts.set(text, (counts.get(text) || 0) + 1);
+        
+        const value = Number(text);
+        if (isFinite(value)) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        } else {
+            isNumeric = false;
+        }
+    });
+    
+    const summary = {
+        isNumeric: isNumeric && counts.size > 0,
+        min: min,
+        max: max,
+        categories: Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([value]) => value)
+    };
+    edgeColumnSummaries.set(column, summary);
+    return summary;
+}
+
+// Mix two #rrggbb colors, t = 0 gives the first and t = 1 the second
+function mixColors(from, to, t) {
+    const channel = (color, i) => parseInt(color.substr(1 + 2 * i, 2), 16);
+    const mixed = [0, 1, 2].map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t));
+    return '#' + mixed.map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Color for a value of an extra column: diverging around zero, sequential, or by category
+function getEdgeColumnColor(summary, text) {
+    if (!summary.isNumeric) {
+        const rank = summary.categories.indexOf(text);
+        return rank >= 0 && rank < EDGE_CATEGORY_COLORS.length ? EDGE_CATEGORY_COLORS[rank] : '#999999';
+    }
+    
+    const value = Number(text);
+    if (summary.min < 0 && summary.max > 0) {
+        const limit = Math.max(-summary.min, summary.max);
+        return value < 0 ? mixColors('#dddddd', '#2166ac', -value / limit) : mixColors('#dddddd', '#b2182b', value / limit);
+    }
+    
+    const range = summary.max - summary.min;
+    return mixColors('#c6dbef', '#08306b', range > 0 ? (value - summary.min) / range : 1);
+}
+
+// Line style for a value of an extra column
+function getEdgeColumnDash(summary, text) {
+    const rank = summary.categories.indexOf(text);
+    return rank >= 0 && rank < EDGE_DASH_STYLES.length ? EDGE_DASH_STYLES[rank] : 'solid';
+}
+
+// Color and dash the rendered edges by the chosen extra columns
+function applyEdgeStyling() {
+    const colorColumn = edgeColorColumnSelect.value;
+    const dashColumn = edgeDashColumnSelect.value;
+    
+    if (cy) {
+        const colorSummary = colorColumn ? getEdgeColumnSummary(colorColumn) : null;
+        const dashSummary = dashColumn ? getEdgeColumnSummary(dashColumn) : null;
+        
+        cy.edges().forEach(edge => {
+            const extra = edge.data('extra') || {};
+            
+            if (colorSummary && extra[colorColumn] !== undefined) {
+                edge.data('styleColor', getEdgeColumnColor(colorSummary, extra[colorColumn]));
+            } else {
+                edge.removeData('styleColor');
+            }
+            
+            if (dashSummary && extra[dashColumn] !== undefined) {
+                edge.data('styleDash', getEdgeColumnDash(dashSummary, extra[dashColumn]));
+            } else {
+                edge.removeData('styleDash');
+            }
+        });
+    }
+    
+    updateEdgeStyleLegend();
+}
+
+// Legend entries (as used by the image export) for the current edge styling
+function getEdgeStyleLegendEntries() {
+    const entries = [];
+    const colorColumn = edgeColorColumnSelect.value;
+    const dashColumn = edgeDashColumnSelect.value;
+    
+    if (colorColumn) {
+        const summary = getEdgeColumnSummary(colorColumn);
+        if (summary.isNumeric) {
+            entries.push({ kind: 'edge', color: getEdgeColumnColor(summary, String(summary.min)), label: `${colorColumn} ${summary.min}` });
+            entries.push({ kind: 'edge', color: getEdgeColumnColor(summary, String(summary.max)), label: `${colorColumn} ${summary.max}` });
+        } else {
+            summary.categories.slice(0, EDGE_CATEGORY_COLORS.length).forEach(category => {
+                entries.push({ kind: 'edge', color: getEdgeColumnColor(summary, category), label: `${colorColumn}: ${category}` });
+            });
+        }
+    }
+    
+    if (dashColumn) {
+        const summary = getEdgeColumnSummary(dashColumn);
+        summary.categories.slice(0, EDGE_DASH_STYLES.length).forEach(category => {
+            entries.push({ kind: 'edge', color: '#555555', dash: getEdgeColumnDash(summary, category), label: `${dashColumn}: ${category}` });
+        });
+    }
+    
+    return entries;
+}
+
+// Show what the edge colors and line styles mean
+function updateEdgeStyleLegend() {
+    const entries = getEdgeStyleLegendEntries();
+    edgeStyleLegend.innerHTML = '';
+    edgeStyleLegend.style.display = entries.length > 0 ? 'block' : 'none';
+    
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-line';
+        swatch.style.borderTopColor = entry.color;
+        swatch.style.borderTopStyle = entry.dash || 'solid';
+        row.appendChild(swatch);
+        row.appendChild(document.createTextNode(entry.label));
+        edgeStyleLegend.appendChild(row);
+    });
+}
+
+// Enable the sign filter only for networks that carry activation/repression signs
+function updateSignFilterControls() {
+    if (!isSignedNetwork) {
+        signFilterSelect.value = 'all';
+    }
+    signFilterSelect.disabled = !isSignedNetwork;
+    signLegend.style.display = isSignedNetwork ? 'block' : 'none';
+}
+
+// Row predicate for the filters applied on top of the confidence threshold (null when none apply)
+function getEdgeRowFilter() {
+    const filters = [];
+    
+    const signFilter = getSignRowFilter(signFilterSelect.value);
+    if (signFilter) filters.push(signFilter);
+    
+    // Only targets whose |value| in the selected condition reaches the cutoff
+    if (isExpressionFilterActive()) {
+        const condition = parseInt(expressionConditionSelect.value, 10);
+        const cutoff = getExpressionCutoff();
+        filters.push(row => {
+            const values = expressionData.values.get(row.TARGET);
+            return values !== undefined && Math.abs(values[condition]) >= cutoff;
+        });
+    }
+    
+    // Upper confidence bound and rank cutoffs
+    const rangeFilter = getCachedRangeRowFilter();
+    if (rangeFilter) filters.push(rangeFilter);
+    
+    return combineRowFilters(filters);
+}
+
+// Re-render for a new sign filter
+function handleSignFilterChange() {
+    const previousValue = signFilterSelect.dataset.previous || 'all';
+    signFilterSelect.dataset.previous = signFilterSelect.value;
+    console.log(`Sign filter changed from ${previousValue} to ${signFilterSelect.value}`);
+    
+    // Narrowing from all edges to one sign only ever removes edges
+    refreshForViewChange(previousValue === 'all', { isSignFilterChange: true, previousValue: previousValue });
+}
+
+// Upper bound, rank cutoffs and preset of the Confidence Filter, stored so a change can be undone
+// from the large network warning (the lower bound is the slider, last applied in previousConfidence)
+function getRangeFilterState() {
+    return {
+        maxConfidence: confidenceMaxSlider.value,
+        topPerTF: topPerTFInput.value,
+        topPercent: topPercentInput.value,
+        preset: confidencePresetSelect.value
+    };
+}
+
+function rememberRangeFilterState() {
+    confidenceMaxSlider.dataset.previous = JSON.stringify(getRangeFilterState());
+}
+
+// Put the Confidence Filter controls back to a stored state, including the lower bound if it has one
+function applyRangeFilterState(state) {
+    if (state.minConfidence !== undefined) {
+        confidenceSlider.value = state.minConfidence;
+        confidenceValue.textContent = state.minConfidence.toFixed(2);
+        previousConfidence = state.minConfidence;
+    }
+    confidenceMaxSlider.value = state.maxConfidence;
+    topPerTFInput.value = state.topPerTF;
+    topPercentInput.value = state.topPercent;
+    confidencePresetSelect.value = state.preset;
+    updateSlidersForRankCutoffs();
+    rememberRangeFilterState();
+    updateRangeFilterLabel();
+}
+
+// Start both sliders at the lowest bound for a newly loaded network, so every edge can be shown
+// (the top stays 1, the highest confidence a network can have)
+// A lower bound left at the old minimum moves to the new one, so "everything" stays everything
+function updateConfidenceSliderRange(min) {
+    const wasAtMin = confidenceSlider.value === confidenceSlider.min;
+    
+    confidenceSlider.min = min;
+    confidenceMaxSlider.min = min;
+    confidenceRangeMin.textContent = String(min);
+    console.log(`Confidence sliders start at ${min}`);
+    
+    if (wasAtMin) confidenceSlider.value = min;
+    confidenceValue.textContent = parseFloat(confidenceSlider.value).toFixed(2);
+    previousConfidence = parseFloat(confidenceSlider.value);
+    rememberRangeFilterState();
+    updateRangeFilterLabel();
+}
+
+// Rank cutoffs keep edges regardless of VALUE, so while one is set the sliders are opened
+// to the full range and disabled; they are enabled again when the cutoffs are cleared
+function updateSlidersForRankCutoffs() {
+    const isRanked = hasRankCutoff(parseTopPerTF(topPerTFInput.value), parseTopPercent(topPercentInput.value));
+    if (isRanked) {
+        confidenceSlider.value = confidenceSlider.min;
+        confidenceValue.textContent = parseFloat(confidenceSlider.value).toFixed(2);
+        previousConfidence = parseFloat(confidenceSlider.value);
+        confidenceMaxSlider.value = confidenceMaxSlider.max;
+    }
+    confidenceSlider.disabled = isRanked;
+    confidenceMaxSlider.disabled = isRanked;
+}
+
+// Lower bound of every query: the slider, or 0 while a rank cutoff keeps edges regardless of VALUE
+// (as the command line tool does, so both give the same answers)
+function getMinConfidence() {
+    if (hasRankCutoff(parseTopPerTF(topPerTFInput.value), parseTopPercent(topPercentInput.value))) return 0;
+    return parseFloat(confidenceSlider.value);
+}
+
+// Rank cutoffs as typed, 0 when empty or out of range (no cutoff)
+function parseTopPerTF(text) {
+    const value = parseInt(text, 10);
+    return value > 0 ? value : 0;
+}
+
+function parseTopPercent(text) {
+    const value = parseFloat(text);
+    return value > 0 && value < 100 ? value : 0;
+}
+
+// Range and rank row filter for the current network and settings, rebuilt only when either changes
+let rangeRowFilterCache = null;
+
+function getCachedRangeRowFilter() {
+    if (!edgeIndex) return null;
+    
+    const maxConfidence = parseFloat(confidenceMaxSlider.value);
+    const topPerTF = parseTopPerTF(topPerTFInput.value);
+    const topPercent = parseTopPercent(topPercentInput.value);
+    const cache = rangeRowFilterCache;
+    if (!cache || cache.index !== edgeIndex || cache.maxConfidence !== maxConfidence ||
+        cache.topPerTF !== topPerTF || cache.topPercent !== topPercent) {
+        rangeRowFilterCache = {
+            index: edgeIndex,
+            maxConfidence: maxConfidence,
+            topPerTF: topPerTF,
+            topPercent: topPercent,
+            filter: getRangeRowFilter(edgeIndex, maxConfidence, topPerTF, topPercent)
+        };
+    }
+    return rangeRowFilterCache.filter;
+}
+
+// Re-render for a new upper bound, rank cutoff or preset (a preset may move the lower bound too)
+function handleRangeFilterChange() {
+    const previousValue = JSON.parse(confidenceMaxSlider.dataset.previous);
+    previousValue.minConfidence = previousConfidence;
+    updateSlidersForRankCutoffs();
+    rememberRangeFilterState();
+    updateRangeFilterLabel();
+    
+    const minConfidence = parseFloat(confidenceSlider.value);
+    previousConfidence = minConfidence;
+    console.log('Range filter changed from', JSON.stringify(previousValue), 'to', JSON.stringify(getRangeFilterState()), 'with minimum', minConfidence);
+    
+    // Narrowing when every bound and cutoff is at least as strict as before (no cutoff keeps everything)
+    const rankLimit = value => value || Infinity;
+    const isNarrowing = minConfidence >= previousValue.minConfidence &&
+        parseFloat(confidenceMaxSlider.value) <= parseFloat(previousValue.maxConfidence) &&
+        rankLimit(parseTopPerTF(topPerTFInput.value)) <= rankLimit(parseTopPerTF(previousValue.topPerTF)) &&
+        rankLimit(parseTopPercent(topPercentInput.value)) <= rankLimit(parseTopPercent(previousValue.topPercent));
+    refreshForViewChange(isNarrowing, { isRangeFilterChange: true, previousValue: previousValue });
+}
+
+// Offer the named presets in the Confidence Filter
+function populateConfidencePresets() {
+    CONFIDENCE_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.label;
+        confidencePresetSelect.appendChild(option);
+    });
+}
+
+// Set every Confidence Filter control from a preset ('' is Custom and leaves them as they are)
+function applyConfidencePreset(presetId) {
+    const preset = CONFIDENCE_PRESETS.find(entry => entry.id === presetId);
+    if (!preset) return;
+    
+    console.log(`Applying confidence preset "${preset.label}"`);
+    confidenceSlider.value = preset.minConfidence !== undefined ? preset.minConfidence : confidenceSlider.min;
+    confidenceValue.textContent = parseFloat(confidenceSlider.value).toFixed(2);
+    confidenceMaxSlider.value = preset.maxConfidence !== undefined ? preset.maxConfidence : confidenceMaxSlider.max;
+    topPerTFInput.value = preset.topPerTF || '';
+    topPercentInput.value = preset.topPercent || '';
+    handleRangeFilterChange();
+}
+
+// Show the upper bound next to the lower one
+function updateRangeFilterLabel() {
+    confidenceMaxValue.textContent = parseFloat(confidenceMaxSlider.value).toFixed(2);
+}
+
+// How many edges of the whole network pass the Confidence Filter and the other edge filters
+function updateRangeFilterInfo() {
+    if (!edgeIndex || edgeIndex.edgeCount === 0) {
+        rangeFilterInfo.textContent = '';
+        return;
+    }
+    
+    let count = 0;
+    getThresholdAdjacency(getMinConfidence()).byRegulator.forEach(rows => {
+        count += rows.length;
+    });
+    const percent = (100 * count / edgeIndex.edgeCount).toFixed(1);
+    rangeFilterInfo.textContent = `${count.toLocaleString()} of ${edgeIndex.edgeCount.toLocaleString()} edges pass (${percent}%)`;
+}
+
+// Re-render after a filter or view option changed, going through the large network warning like the slider does
+function refreshForViewChange(isNarrowing, changeInfo) {
+    updateComparisonSummary();
+    updateStatisticsPanel();
+    refreshTargetOverlap();
+    updateTFAvailability();
+    
+    if (isLargeNetworkWarningVisible) {
+        updateNetworkSizeWarning();
+        return;
+    }
+    
+    if (cy && selectedTFs.size > 0 && selectedGenes.size > 0) {
+        if (isNarrowing) {
+            visualizeNetwork();
+        } else {
+            if (!preLargeNetworkState) {
+                preLargeNetworkState = {
+                    selectedTFs: Array.from(selectedTFs),
+                    selectedGenes: Array.from(selectedGenes),
+                    confidenceValue: parseFloat(confidenceSlider.value),
+                    confidenceDisplayValue: confidenceValue.textContent
+                };
+                lastChangeInfo = changeInfo;
+            }
+            checkAndVisualizeNetwork();
+        }
+    }
+    
+    scheduleUrlStateUpdate();
+}
+
+// Net effect of the last expanded cascade on a node, for the node info panel
+function describeCascadeSign(nodeId) {
+    if (!lastCascade || nodeId === lastCascade.rootId || !lastCascade.nodes.has(nodeId)) return null;
+    
+    const entry = lastCascade.nodes.get(nodeId);
+    const signs = Array.from(entry.signs);
+    let label = getSignLabel(signs.length === 1 ? signs[0] : 0);
+    if (entry.signs.has(1) && entry.signs.has(-1)) {
+        label = 'mixed (activating and repressing paths)';
+    }
+    const rootName = getNodeDisplayName(lastCascade.rootId, tfSet.has(lastCascade.rootId));
+    const hops = `${entry.hops} hop${entry.hops === 1 ? '' : 's'}`;
+    
+    return lastCascade.direction === 'downstream'
+        ? `Net effect of ${rootName} on this gene: ${label} (${hops})`
+        : `Net effect of this regulator on ${rootName}: ${label} (${hops})`;
+}
+
+// Load an expression table: gene IDs in the first column, one column of values (e.g. log2 fold change) per condition
+function loadExpressionFile(file) {
+    console.log('Loading expression file', file.name);
+    readTextFile(file, text => applyExpressionFile(text, file.name));
+}
+
+// Use the text of an expression table as the overlay, returning whether it had values for this network
+function applyExpressionFile(text, fileName) {
+    const results = Papa.parse(text, { header: false, skipEmptyLines: true });
+    const parsed = parseExpressionRows(results.data, fileName);
+    
+    if (parsed.values.size === 0) {
+        alert(`No expression values for genes in this network were found in ${fileName}. ` +
+              'Expected a gene ID column followed by one numeric column per condition.');
+        return false;
+    }
+    
+    expressionData = parsed;
+    loadedOverlayFiles.set('expression', { fileName: fileName, text: text });
+    console.log(`Loaded ${parsed.conditions.length} conditions for ${parsed.values.size} genes; ${parsed.unmatched} unmatched gene IDs`);
+    
+    expressionInfo.textContent = `${fileName}: ${parsed.conditions.length} condition${parsed.conditions.length === 1 ? '' : 's'}, ${parsed.values.size} genes` +
+        (parsed.unmatched > 0 ? ` (${parsed.unmatched} IDs not in the network)` : '');
+    
+    expressionConditionSelect.innerHTML = '';
+    parsed.conditions.forEach((condition, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = condition;
+        expressionConditionSelect.appendChild(option);
+    });
+    expressionConditionSelect.disabled = false;
+    expressionFilterCheckbox.disabled = false;
+    
+    // A new table can change which targets pass, so re-render when the filter is on
+    if (expressionFilterCheckbox.checked) {
+        handleExpressionFilterChange();
+    } else {
+        rememberExpressionFilterState();
+        applyExpressionColors();
+    }
+    return true;
+}
+
+// Turn parsed expression rows into values per network gene
+function parseExpressionRows(data, fileName) {
+    const knownGenes = new Set([...geneSet, ...tfSet]);
+    const values = new Map();
+    let unmatched = 0;
+    
+    // Tab-, comma- or space-separated with or without a header row
+    const rows = data.filter(row => row.length >= 2 && String(row[0]).trim() !== '');
+    const hasHeader = rows.length > 0 && rows[0].slice(1).some(cell => cell.trim() !== '' && isNaN(Number(cell)));
+    const columnCount = rows.length > 0 ? rows[0].length - 1 : 0;
+    const conditions = hasHeader
+        ? rows[0].slice(1).map((name, index) => name.trim() || `Condition ${index + 1}`)
+        : Array.from({ length: columnCount }, (_, index) => columnCount === 1 ? fileName : `Condition ${index + 1}`);
+    
+    rows.slice(hasHeader ? 1 : 0).forEach(row => {
+        const geneId = resolveAnnotationGeneId(String(row[0]), knownGenes);
+        if (!geneId) {
+            unmatched++;
+            return;
+        }
+        
+        // Empty or non-numeric cells are missing values
+        values.set(geneId, conditions.map((_, index) => {
+            const cell = (row[index + 1] || '').trim();
+            return cell === '' ? NaN : Number(cell);
+        }));
+    });
+    
+    return { fileName: fileName, conditions: conditions, values: values, unmatched: unmatched };
+}
+
+// Whether only targets passing the expression cutoff are shown
+function isExpressionFilterActive() {
+    return expressionData !== null && expressionFilterCheckbox.checked;
+}
+
+// |value| a target must reach to pass the expression filter
+function getExpressionCutoff() {
+    const cutoff = parseFloat(expressionCutoffInput.value);
+    return isNaN(cutoff) || cutoff < 0 ? 0 : cutoff;
+}
+
+// Expression filter settings, stored so a change can be undone from the large network warning
+function getExpressionFilterState() {
+    return {
+        isEnabled: expressionFilterCheckbox.checked,
+        cutoff: expressionCutoffInput.value,
+        condition: expressionConditionSelect.value
+    };
+}
+
+function rememberExpressionFilterState() {
+    expressionFilterCheckbox.dataset.previous = JSON.stringify(getExpressionFilterState());
+}
+
+// Recolor for a new condition and re-render when the expression filter changed which targets pass
+function handleExpressionFilterChange() {
+    const previousValue = expressionFilterCheckbox.dataset.previous
+        ? JSON.parse(expressionFilterCheckbox.dataset.previous)
+        : { isEnabled: false, cutoff: expressionCutoffInput.value, condition: expressionConditionSelect.value };
+    const currentValue = getExpressionFilterState();
+    rememberExpressionFilterState();
+    
+    applyExpressionColors();
+    if (expressionData === null || (!previousValue.isEnabled && !currentValue.isEnabled)) return;
+    
+    console.log('Expression filter changed from', JSON.stringify(previousValue), 'to', JSON.stringify(currentValue));
+    
+    // Turning the filter on or raising the cutoff for the same condition only ever removes targets
+    const isNarrowing = currentValue.isEnabled && currentValue.condition === previousValue.condition &&
+        (!previousValue.isEnabled || parseFloat(currentValue.cutoff) >= parseFloat(previousValue.cutoff));
+    refreshForViewChange(isNarrowing, { isExpressionFilterChange: true, previousValue: previousValue });
+}
+
+// Largest |value| of the selected condition, used as both ends of the color scale
+function getExpressionScaleLimit() {
+    const condition = parseInt(expressionConditionSelect.value, 10);
+    let limit = 0;
+    expressionData.values.forEach(values => {
+        if (!isNaN(values[condition])) limit = Math.max(limit, Math.abs(values[condition]));
+    });
+    return limit;
+}
+
+// Diverging color for an expression value: blue below zero, white at zero, red above
+function getExpressionColor(value, limit) {
+    const t = limit > 0 ? Math.min(Math.abs(value) / limit, 1) : 0;
+    return mixColors(EXPRESSION_MID_COLOR, value < 0 ? EXPRESSION_LOW_COLOR : EXPRESSION_HIGH_COLOR, t);
+}
+
+// Fill rendered nodes by their value in the selected condition
+function applyExpressionColors() {
+    const limit = expressionData ? getExpressionScaleLimit() : 0;
+    
+    if (cy) {
+        const condition = parseInt(expressionConditionSelect.value, 10);
+        cy.nodes().forEach(node => {
+            const values = expressionData ? expressionData.values.get(node.id()) : undefined;
+            if (values !== undefined && !isNaN(values[condition])) {
+                node.data('expressionColor', getExpressionColor(values[condition], limit));
+            } else {
+                node.removeData('expressionColor');
+            }
+        });
+    }
+    
+    updateExpressionLegend(limit);
+}
+
+// Gradient legend of the expression scale in the control panel
+function updateExpressionLegend(limit) {
+    expressionLegend.style.display = expressionData ? 'block' : 'none';
+    if (!expressionData) return;
+    
+    const condition = expressionData.conditions[parseInt(expressionConditionSelect.value, 10)];
+    expressionLegend.innerHTML =
+        `<div>${escapeHtml(condition)}</div>` +
+        `<div class="legend-gradient" style="background: linear-gradient(to right, ${EXPRESSION_LOW_COLOR}, ${EXPRESSION_MID_COLOR}, ${EXPRESSION_HIGH_COLOR});"></div>` +
+        `<div class="slider-labels"><span>${(-limit).toFixed(2)}</span><span>0</span><span>${limit.toFixed(2)}</span></div>`;
+}
+
+// Legend entries (as used by the image export) for the expression scale
+function getExpressionLegendEntries() {
+    if (!expressionData) return [];
+    
+    const limit = getExpressionScaleLimit();
+    const condition = expressionData.conditions[parseInt(expressionConditionSelect.value, 10)];
+    return [
+        { kind: 'fill', color: EXPRESSION_LOW_COLOR, label: `${condition}: ${(-limit).toFixed(2)}` },
+        { kind: 'fill', color: EXPRESSION_MID_COLOR, label: `${condition}: 0` },
+        { kind: 'fill', color: EXPRESSION_HIGH_COLOR, label: `${condition}: ${limit.toFixed(2)}` }
+    ];
+}
+
+// Value of a gene in the selected condition, for the node info panel
+function describeNodeExpression(nodeId) {
+    if (!expressionData || !expressionData.values.has(nodeId)) return null;
+    
+    const condition = parseInt(expressionConditionSelect.value, 10);
+    const value = expressionData.values.get(nodeId)[condition];
+    return `${expressionData.conditions[condition]}: ${isNaN(value) ? 'no value' : value.toFixed(2)}`;
+}
+
+// Targets of each selected TF at the threshold, TF-to-TF edges and shared-target overlaps for the regulon overview
+function buildRegulonOverview(minConfidence) {
+    const regulons = new Map();
+    const rows = querySubnetwork(edgeIndex, selectedTFs, selectedGenes, minConfidence, getEdgeRowFilter());
+    rows.forEach(row => {
+        if (!regulons.has(row.REGULATOR)) regulons.set(row.REGULATOR, new Set());
+        regulons.get(row.REGULATOR).add(row.TARGET);
+    });
+    
+    // Regulation between TFs of the overview is drawn directly, expanded TFs bring all their edges
+    const expandedRows = rows.filter(row => expandedRegulons.has(row.REGULATOR));
+    const tfEdges = rows.filter(row => regulons.has(row.TARGET) && !expandedRegulons.has(row.REGULATOR));
+    
+    return {
+        regulons: regulons,
+        tfEdges: tfEdges,
+        expandedRows: expandedRows,
+        overlaps: computeRegulonOverlaps(regulons, getRegulonOverlapMinimum())
+    };
+}
+
+// Jaccard index of the target sets of every pair of TFs sharing at least one target
+function computeRegulonOverlaps(regulons, minJaccard) {
+    // Count shared targets through the TFs of each target rather than comparing every pair
+    const tfsByTarget = new Map();
+    regulons.forEach((targets, tf) => {
+        targets.forEach(target => {
+            if (!tfsByTarget.has(target)) tfsByTarget.set(target, []);
+            tfsByTarget.get(target).push(tf);
+        });
+    });
+    
+    const sharedCounts = new Map();
+    tfsByTarget.forEach(tfs => {
+        for (let i = 0; i < tfs.length; i++) {
+            for (let j = i + 1; j < tfs.length; j++) {
+                const key = tfs[i] < tfs[j] ? `${tfs[i]}|${tfs[j]}` : `${tfs[j]}|${tfs[i]}`;
+                sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+            }
+        }
+    });
+    
+    const overlaps = [];
+    sharedCounts.forEach((shared, key) => {
+        const [tfA, tfB] = key.split('|');
+        const jaccard = shared / (regulons.get(tfA).size + regulons.get(tfB).size - shared);
+        if (jaccard >= minJaccard) {
+            overlaps.push({ tfA: tfA, tfB: tfB, sharedCount: shared, jaccard: jaccard });
+        }
+    });
+    return overlaps;
+}
+
+// Smallest Jaccard index drawn as an overlap edge
+function getRegulonOverlapMinimum() {
+    const minimum = parseFloat(regulonOverlapInput.value);
+    return isNaN(minimum) ? 0 : Math.min(Math.max(minimum, 0), 1);
+}
+
+// Node and edge count of the regulon overview, for the large network warning
+function estimateRegulonOverviewSize(minConfidence) {
+    const overview = buildRegulonOverview(minConfidence);
+    const nodeIds = new Set(overview.regulons.keys());
+    overview.expandedRows.forEach(row => nodeIds.add(row.TARGET));
+    
+    return {
+        nodeCount: nodeIds.size,
+        edgeCount: overview.tfEdges.length + overview.expandedRows.length + overview.overlaps.length
+    };
+}
+
+// Add the overview to the elements: one node per TF sized by its regulon, returns the number of edges added
+function addRegulonOverviewElements(overview, elements, addedNodes, addEdgeRow) {
+    let largestRegulon = 1;
+    overview.regulons.forEach(targets => {
+        largestRegulon = Math.max(largestRegulon, targets.size);
+    });
+    
+    overview.regulons.forEach((targets, tf) => {
+        elements.push({
+            data: {
+                id: tf,
+                name: getTFDisplayName(tf),
+                nodeType: 'TF',
+                size: 30 + 50 * Math.sqrt(targets.size / largestRegulon),
+                targetCount: targets.size
+            }
+        });
+        addedNodes.add(tf);
+    });
+    
+    overview.tfEdges.forEach(addEdgeRow);
+    overview.expandedRows.forEach(addEdgeRow);
+    
+    overview.overlaps.forEach(overlap => {
+        elements.push({
+            data: {
+                id: `overlap-${overlap.tfA}-${overlap.tfB}`,
+                source: overlap.tfA,
+                target: overlap.tfB,
+                weight: 1 + 5 * overlap.jaccard,
+                opacity: 0.3 + 0.7 * overlap.jaccard,
+                overlap: overlap.jaccard,
+                sharedCount: overlap.sharedCount
+            }
+        });
+    });
+    
+    return overview.overlaps.length;
+}
+
+// Expand a TF of the regulon overview into its targets, or collapse it again
+function toggleRegulon(tf) {
+    if (expandedRegulons.has(tf)) {
+        expandedRegulons.delete(tf);
+    } else {
+        expandedRegulons.add(tf);
+    }
+    console.log(`Regulon ${tf} ${expandedRegulons.has(tf) ? 'expanded' : 'collapsed'}`);
+    visualizeNetwork();
+}
+
+// Open the target overlap panel for the selected TFs
+function showTargetOverlap() {
+    if (selectedTFs.size < 2) {
+        alert('Please select at least two TFs to compare their targets.');
+        return;
+    }
+    if (selectedTFs.size > MAX_OVERLAP_TFS) {
+        alert(`Please select at most ${MAX_OVERLAP_TFS} TFs to compare their targets (${selectedTFs.size} are selected).`);
+        return;
+    }
+    
+    renderTargetOverlap(Array.from(selectedTFs).sort((a, b) => getTFDisplayName(a).localeCompare(getTFDisplayName(b))));
+    overlapPanel.style.display = 'block';
+}
+
+// Recompute an open overlap panel for its TFs after the threshold or a filter changed
+function refreshTargetOverlap() {
+    if (overlapPanel.style.display === 'none' || !overlapPanel.dataset.tfs) return;
+    renderTargetOverlap(JSON.parse(overlapPanel.dataset.tfs));
+}
+
+// Targets of each TF and the exclusive intersections: targets grouped by exactly which of the TFs regulate them
+function computeTargetOverlap(tfs) {
+    const targetSets = tfs.map(tf => getTFTargetsAtThreshold(tf));
+    
+    const tfIndexesByTarget = new Map();
+    targetSets.forEach((targets, index) => {
+        targets.forEach(target => {
+            if (!tfIndexesByTarget.has(target)) tfIndexesByTarget.set(target, []);
+            tfIndexesByTarget.get(target).push(index);
+        });
+    });
+    
+    const intersections = new Map();
+    tfIndexesByTarget.forEach((indexes, target) => {
+        const key = indexes.join(',');
+        if (!intersections.has(key)) intersections.set(key, { tfIndexes: indexes, genes: [] });
+        intersections.get(key).genes.push(target);
+    });
+    
+    return {
+        targetSets: targetSets,
+        intersections: Array.from(intersections.values()).sort((a, b) =>
+            b.genes.length - a.genes.length || b.tfIndexes.length - a.tfIndexes.length)
+    };
+}
+
+// Draw the pairwise shared-target heatmap and the UpSet-style intersection chart
+function renderTargetOverlap(tfs) {
+    overlapPanel.dataset.tfs = JSON.stringify(tfs);
+    const overlap = computeTargetOverlap(tfs);
+    const names = tfs.map(getTFDisplayName);
+    const minConfidence = getMinConfidence();
+    
+    overlapSummary.textContent = `${tfs.length} TFs, ${overlap.intersections.reduce((sum, item) => sum + item.genes.length, 0)} targets ` +
+        `at confidence >= ${minConfidence.toFixed(2)}. Click a cell or an intersection to select its targets.`;
+    
+    // Heatmap: shared target counts, shaded by Jaccard index, regulon sizes on the diagonal
+    const table = document.createElement('table');
+    table.className = 'overlap-heatmap';
+    const header = table.insertRow();
+    header.insertCell();
+    names.forEach(name => {
+        const cell = document.createElement('th');
+        cell.textContent = name;
+        header.appendChild(cell);
+    });
+    
+    tfs.forEach((tfA, i) => {
+        const row = table.insertRow();
+        const rowHeader = document.createElement('th');
+        rowHeader.textContent = names[i];
+        row.appendChild(rowHeader);
+        
+        tfs.forEach((tfB, j) => {
+            const setA = overlap.targetSets[i];
+            const setB = overlap.targetSets[j];
+            const shared = Array.from(setA).filter(target => setB.has(target));
+            const union = setA.size + setB.size - shared.length;
+            const jaccard = union > 0 ? shared.length / union : 0;
+            
+            const cell = row.insertCell();
+            cell.textContent = shared.length;
+            cell.style.backgroundColor = mixColors('#ffffff', '#2980b9', jaccard);
+            cell.style.color = jaccard > 0.5 ? '#ffffff' : '#333333';
+            cell.title = i === j
+                ? `${names[i]}: ${setA.size} targets`
+                : `${names[i]} and ${names[j]}: ${shared.length} shared targets (Jaccard ${jaccard.toFixed(3)})`;
+            
+            if (shared.length > 0) {
+                cell.classList.add('clickable-cell');
+                cell.addEventListener('click', () => selectOverlapTargets(shared));
+            }
+        });
+    });
+    
+    overlapHeatmap.innerHTML = '';
+    overlapHeatmap.appendChild(table);
+    
+    // UpSet: one row per exclusive intersection, dots for the TFs involved and a bar for its size
+    overlapUpset.innerHTML = '';
+    if (overlap.intersections.length === 0) {
+        overlapUpset.innerHTML = '<p class="path-empty">None of these TFs has targets at this threshold.</p>';
+        return;
+    }
+    
+    const largest = overlap.intersections[0].genes.length;
+    const upset = document.createElement('table');
+    upset.className = 'upset-table';
+    const upsetHeader = upset.insertRow();
+    names.forEach(name => {
+        const cell = document.createElement('th');
+        cell.className = 'upset-tf';
+        cell.textContent = name;
+        upsetHeader.appendChild(cell);
+    });
+    const countHeader = document.createElement('th');
+    countHeader.textContent = 'Targets';
+    upsetHeader.appendChild(countHeader);
+    
+    overlap.intersections.slice(0, MAX_OVERLAP_INTERSECTIONS).forEach(intersection => {
+        const row = upset.insertRow();
+        row.className = 'upset-row';
+        row.title = `Only ${intersection.tfIndexes.map(index => names[index]).join(' and ')}: click to select these ${intersection.genes.length} targets`;
+        
+        tfs.forEach((tf, index) => {
+            const cell = row.insertCell();
+            cell.className = intersection.tfIndexes.includes(index) ? 'upset-dot upset-dot-on' : 'upset-dot';
+            cell.textContent = '●';
+        });
+        
+        const barCell = row.insertCell();
+        barCell.innerHTML = `<span class="upset-bar" style="width: ${Math.max(2, Math.round(120 * intersection.genes.length / largest))}px;"></span>${intersection.genes.length}`;
+        
+        row.addEventListener('click', () => selectOverlapTargets(intersection.genes));
+    });
+    overlapUpset.appendChild(upset);
+    
+    if (overlap.intersections.length > MAX_OVERLAP_INTERSECTIONS) {
+        const note = document.createElement('p');
+        note.className = 'path-meta';
+        note.textContent = `Showing the ${MAX_OVERLAP_INTERSECTIONS} largest of ${overlap.intersections.length} intersections.`;
+        overlapUpset.appendChild(note);
+    }
+}
+
+// Make exactly these genes the selected targets, then highlight them in the graph
+function selectOverlapTargets(genes) {
+    if (isLargeNetworkWarningVisible) {
+        alert('Please respond to the large network warning first.');
+        return;
+    }
+    
+    console.log(`OVERLAP: selecting ${genes.length} target genes`);
+    clearSelectionForReplace(false, true);
+    addToSelection([], genes, 'These targets are already selected.');
+    
+    if (cy && isNetworkRendered && !isLargeNetworkWarningVisible) {
+        const geneIds = new Set(genes);
+        cy.nodes(':selected').unselect();
+        cy.nodes().filter(node => geneIds.has(node.id())).select();
+    }
+}
+
+// Load a gene annotation table: systematic ID, aliases (comma, semicolon or pipe separated) and description
+function loadGeneAnnotationFile(file) {
+    console.log('Loading gene annotation file', file.name);
+    readTextFile(file, text => applyGeneAnnotationFile(text, file.name));
+}
+
+// Use the text of a gene annotation table, returning whether it annotated any network gene
+function applyGeneAnnotationFile(text, fileName) {
+    const results = Papa.parse(text, {
+        delimiter: /\.csv$/i.test(fileName) ? ',' : '\t',
+        header: false,
+        skipEmptyLines: true
+    });
+    const parsed = parseGeneAnnotationRows(results.data);
+    
+    if (parsed.annotations.size === 0) {
+        alert(`No annotations for genes in this network were found in ${fileName}. ` +
+              'Expected columns: systematic ID, aliases and description.');
+        return false;
+    }
+    
+    geneAnnotations = parsed.annotations;
+    loadedOverlayFiles.set('geneAnnotations', { fileName: fileName, text: text });
+    geneAnnotationInfo.textContent = `${fileName}: ${parsed.annotations.size} genes annotated` +
+        (parsed.unmatched > 0 ? ` (${parsed.unmatched} IDs not in the network)` : '');
+    console.log(`Loaded annotations for ${parsed.annotations.size} genes; ${parsed.unmatched} unmatched gene IDs`);
+    
+    // Aliases become valid names for bulk selection and the path finder, and the lists are searched again
+    buildNameIndex();
+    filterItems(tfContainer, tfSearch.value);
+    filterItems(geneContainer, geneSearch.value);
+    return true;
+}
+
+// Turn annotation rows into aliases and descriptions per network gene (a first row naming no gene is a header)
+function parseGeneAnnotationRows(rows) {
+    const knownGenes = new Set([...geneSet, ...tfSet]);
+    const annotations = new Map();
+    let unmatched = 0;
+    
+    rows.forEach((row, index) => {
+        const rawId = String(row[0] || '').trim();
+        if (!rawId) return;
+        
+        const geneId = resolveAnnotationGeneId(rawId, knownGenes);
+        if (!geneId) {
+            if (index > 0) unmatched++;
+            return;
+        }
+        
+        // Two columns are ID and description, three or more are ID, aliases and description
+        const aliasText = row.length >= 3 ? row[1] || '' : '';
+        const description = (row.length >= 3 ? row.slice(2).join(' ') : row[1] || '').trim();
+        const aliases = aliasText.split(/[,;|]/).map(alias => alias.trim()).filter(alias => alias !== '');
+        
+        annotations.set(geneId, {
+            aliases: aliases,
+            description: description,
+            words: description.toLowerCase().split(/[^a-z0-9-]+/).filter(word => word.length > 0)
+        });
+    });
+    
+    return { annotations: annotations, unmatched: unmatched };
+}
+
+// Levenshtein distance between two strings, or maxDistance + 1 as soon as it is certainly larger
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos tolerated in a search word of this length
+function getAllowedTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 7 ? 1 : 2;
+}
+
+// Best match of a search for a list item: rank 0 exact name, 1 name prefix, 2 name substring,
+// 3 description, 4 typo-tolerant; with the field and terms to highlight, or null when nothing matches
+function getSearchMatch(checkbox, query) {
+    const annotation = geneAnnotations.get(checkbox.value);
+    const names = [
+        { field: 'name', text: checkbox.dataset.common },
+        { field: 'name', text: checkbox.dataset.systematic }
+    ];
+    if (annotation) {
+        annotation.aliases.forEach(alias => names.push({ field: 'alias', text: alias.toLowerCase(), alias: alias }));
+    }
+    
+    // Systematic IDs can be typed with the CNAG_ prefix
+    const idQuery = query.replace(/^cnag_/, '');
+    
+    for (const [rank, test] of [
+        [0, text => text === query || text === idQuery],
+        [1, text => text.startsWith(query)],
+        [2, text => text.includes(query)]
+    ]) {
+        const name = names.find(candidate => test(candidate.text));
+        if (name) {
+            return { rank: rank, field: name.field, alias: name.alias, terms: [name.text.includes(query) ? query : idQuery] };
+        }
+    }
+    
+    const queryWords = query.split(/\s+/);
+    
+    // Descriptions match the whole phrase or every word of it
+    if (annotation && annotation.description) {
+        const description = annotation.description.toLowerCase();
+        if (description.includes(query) || queryWords.every(word => description.includes(word))) {
+            return { rank: 3, field: 'description', terms: queryWords };
+        }
+    }
+    
+    // Typo-tolerant: a single word close to a name or alias, or every word close to a description word
+    if (queryWords.length === 1 && getAllowedTypos(query) > 0) {
+        const name = names.find(candidate => getEditDistance(query, candidate.text, getAllowedTypos(query)) <= getAllowedTypos(query));
+        if (name) {
+            return { rank: 4, field: name.field, alias: name.alias, terms: [] };
+        }
+    }
+    if (annotation && queryWords.every(word => getAllowedTypos(word) > 0)) {
+        const matchedWords = queryWords.map(word =>
+            annotation.words.find(candidate => getEditDistance(word, candidate, getAllowedTypos(word)) <= getAllowedTypos(word)));
+        if (matchedWords.every(word => word !== undefined)) {
+            return { rank: 4, field: 'description', terms: matchedWords };
+        }
+    }
+    
+    return null;
+}
+
+// Wrap every occurrence of the terms in <mark>, escaping the rest
+function markSearchTerms(text, terms) {
+    const usable = terms.filter(term => term && term.length > 0);
+    if (usable.length === 0) return escapeHtml(text);
+    
+    const pattern = new RegExp(usable.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    let html = '';
+    let last = 0;
+    text.replace(pattern, (found, offset) => {
+        html += escapeHtml(text.slice(last, offset)) + `<mark>${escapeHtml(found)}</mark>`;
+        last = offset + found.length;
+        return found;
+    });
+    return html + escapeHtml(text.slice(last));
+}
+
+// Highlight the matched terms in a list item, showing the alias or description that matched
+function highlightSearchMatch(item, match) {
+    const label = item.querySelector('label');
+    if (label.dataset.text === undefined) label.dataset.text = label.textContent;
+    if (match.rank === 4) item.title = 'Approximate match';
+    
+    if (match.field === 'name') {
+        label.innerHTML = markSearchTerms(label.dataset.text, match.terms);
+        return;
+    }
+    
+    const annotation = geneAnnotations.get(item.querySelector('input').value);
+    const detail = document.createElement('div');
+    detail.className = 'search-detail';
+    detail.innerHTML = match.field === 'alias'
+        ? `Alias: ${markSearchTerms(match.alias, match.terms)}`
+        : markSearchTerms(annotation.description, match.terms);
+    item.appendChild(detail);
+}
+
+// Undo the highlighting of a list item
+function clearSearchHighlight(item) {
+    const label = item.querySelector('label');
+    if (label && label.dataset.text !== undefined) {
+        label.textContent = label.dataset.text;
+    }
+    item.querySelectorAll('.search-detail').forEach(detail => detail.remove());
+    item.removeAttribute('title');
+}
+
+// Snapshot of the selection and filters for the undo history
+function captureHistoryState() {
+    return {
+        selectedTFs: Array.from(selectedTFs).sort(),
+        selectedGenes: Array.from(selectedGenes).sort(),
+        confidenceValue: parseFloat(confidenceSlider.value),
+        rangeFilter: getRangeFilterState(),
+        signFilter: signFilterSelect.value,
+        selectedNodeIds: cy ? cy.nodes(':selected').map(node => node.id()).sort() : []
+    };
+}
+
+// Record the current state once changes settle (so a shift+click group or a Select All is one step)
+function scheduleHistoryRecord() {
+    if (isApplyingHistory) return;
+    
+    clearTimeout(historyTimeout);
+    historyTimeout = setTimeout(recordHistoryStep, 300);
+}
+
+// Push the previous state onto the undo stack if the current one differs from it
+function recordHistoryStep() {
+    // A change waiting behind the large network warning is not committed yet
+    if (isApplyingHistory || isLargeNetworkWarningVisible) return;
+    
+    const state = captureHistoryState();
+    if (currentHistoryState && JSON.stringify(state) === JSON.stringify(currentHistoryState)) return;
+    
+    if (currentHistoryState) {
+        undoStack.push(currentHistoryState);
+        if (undoStack.length > MAX_HISTORY_STEPS) undoStack.shift();
+        console.log(`HISTORY: recorded step ${undoStack.length} (${state.selectedTFs.length} TFs, ${state.selectedGenes.length} genes)`);
+    }
+    currentHistoryState = state;
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// Forget all steps, starting again from the current (empty) state
+function resetHistory() {
+    clearTimeout(historyTimeout);
+    undoStack = [];
+    redoStack = [];
+    currentHistoryState = captureHistoryState();
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+}
+
+// Go back one step
+function undoStep() {
+    moveInHistory(undoStack, redoStack, 'undo');
+}
+
+// Go forward one undone step
+function redoStep() {
+    moveInHistory(redoStack, undoStack, 'redo');
+}
+
+// Move the current state onto one stack and apply the top of the other
+function moveInHistory(fromStack, toStack, action) {
+    if (isLargeNetworkWarningVisible) {
+        alert('Please respond to the large network warning first.');
+        return;
+    }
+    
+    // Commit a change still waiting to be recorded, so it can be undone too
+    clearTimeout(historyTimeout);
+    recordHistoryStep();
+    if (fromStack.length === 0) return;
+    
+    toStack.push(currentHistoryState);
+    currentHistoryState = fromStack.pop();
+    console.log(`HISTORY: ${action} to ${currentHistoryState.selectedTFs.length} TFs, ${currentHistoryState.selectedGenes.length} genes`);
+    
+    applyHistoryState(currentHistoryState);
+    updateHistoryButtons();
+}
+
+// Restore a recorded state: checkboxes, slider and sign filter, then the graph and its node selection
+function applyHistoryState(state) {
+    isApplyingHistory = true;
+    preLargeNetworkState = null;
+    lastChangeInfo = null;
+    
+    restoreSelections(tfContainer, state.selectedTFs, selectedTFs);
+    restoreSelections(geneContainer, state.selectedGenes, selectedGenes);
+    previousTFCount = selectedTFs.size;
+    previousGeneCount = selectedGenes.size;
+    
+    confidenceSlider.value = state.confidenceValue;
+    confidenceValue.textContent = state.confidenceValue.toFixed(2);
+    previousConfidence = state.confidenceValue;
+    applyRangeFilterState(state.rangeFilter);
+    signFilterSelect.value = state.signFilter;
+    signFilterSelect.dataset.previous = state.signFilter;
+    
+    updateVisualizeButtonState();
+    updateComparisonSummary();
+    updateStatisticsPanel();
+    updateTFAvailability();
+    
+    // Every state in the history has been rendered before, so no large network warning
+    if (selectedTFs.size > 0 && selectedGenes.size > 0) {
+        visualizeNetwork();
+        
+        const selectedNodeIds = new Set(state.selectedNodeIds);
+        cy.nodes().filter(node => selectedNodeIds.has(node.id())).select();
+    } else {
+        cy.elements().remove();
+        isNetworkRendered = false;
+        noConnectionsMessage.style.display = 'none';
+        nodeInfo.style.display = 'none';
+        scheduleUrlStateUpdate();
+    }
+    updateInstructionVisibility();
+    
+    isApplyingHistory = false;
+}
+
+// Fill the TF list, sorted by common name, each with its target count at the current threshold
+function populateTFList() {
+    tfContainer.innerHTML = '';
+    tfCheckboxes = new Map();
+    
+    // Sort TFs by common name (if available) or systematic name
+    Array.from(tfSet).sort((a, b) => {
+        // Get common names for comparison, falling back to systematic names if needed
+        const aName = (tfToCommonName[a] || a).toLowerCase();
+        const bName = (tfToCommonName[b] || b).toLowerCase();
+        return aName.localeCompare(bName);
+    }).forEach((tf, order) => {
+        const item = document.createElement('div');
+        item.className = 'checkbox-item';
+        item.dataset.order = order;
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = tf;
+        
+        const commonName = getTFDisplayName(tf);
+        checkbox.dataset.common = commonName.toLowerCase();
+        checkbox.dataset.systematic = tf.toLowerCase();
+        tfCheckboxes.set(tf, checkbox);
+        
+        checkbox.addEventListener('change', () => {
+            handleCheckboxChange(checkbox, selectedTFs);
+            updateTFAvailability();
+        });
+        
+        const label = document.createElement('label');
+        // Only show systematic name in parentheses if it's different from common name
+        label.textContent = commonName !== tf ? `${commonName} (${tf})` : commonName;
+        
+        const count = document.createElement('span');
+        count.className = 'tf-target-count';
+        
+        // Explains why a TF without targets at this threshold cannot be selected
+        const status = document.createElement('div');
+        status.className = 'tf-status';
+        
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        item.appendChild(count);
+        item.appendChild(status);
+        tfContainer.appendChild(item);
+    });
+}
+
+// Show each TF's number of targets at the current threshold and disable TFs without any
+function updateTFAvailability() {
+    if (!edgeIndex) return;
+    
+    const minConfidence = getMinConfidence();
+    const rowFilter = getEdgeRowFilter();
+    let edgelessCount = 0;
+    
+    tfCheckboxes.forEach((checkbox, tf) => {
+        const targetCount = getIndexedEdges(edgeIndex.byRegulator, tf, minConfidence, rowFilter).length;
+        const item = checkbox.closest('.checkbox-item');
+        const isEdgeless = targetCount === 0;
+        if (isEdgeless) edgelessCount++;
+        
+        item.querySelector('.tf-target-count').textContent = targetCount;
+        item.querySelector('.tf-target-count').title = `${targetCount} targets at confidence >= ${minConfidence.toFixed(2)}`;
+        item.classList.toggle('edgeless-tf', isEdgeless);
+        
+        // A selected TF stays enabled so that it can still be cleared
+        checkbox.disabled = isEdgeless && !checkbox.checked;
+        checkbox.title = isEdgeless ? 'This TF has no connections at the current threshold' : '';
+        item.querySelector('.tf-status').textContent = !isEdgeless ? '' :
+            manifestOnlyTFs.has(tf)
+                ? 'Perturbed, but has no edges in this network.'
+                : rowFilter
+                    ? 'Has no targets passing the current filters.'
+                    : `Has no targets with confidence >= ${minConfidence.toFixed(2)}.`;
+    });
+    
+    console.log(`TF availability: ${edgelessCount} of ${tfCheckboxes.size} TFs have no targets at confidence >= ${minConfidence}`);
+    
+    // The edge count under the Confidence Filter depends on the same settings
+    updateRangeFilterInfo();
+}
+
+// The manifest TFs that apply to the loaded network
+function getApplicableManifestTFs() {
+    if (!tfManifest) return null;
+    if (tfManifest.isDefault && currentNetworkName !== DEFAULT_NETWORK_FILE) return null;
+    return tfManifest.tfs;
+}
+
+// Add manifest TFs missing from the network to the TF set
+function addManifestTFs() {
+    manifestOnlyTFs = new Set();
+    
+    const manifestTFs = getApplicableManifestTFs();
+    if (!manifestTFs) return;
+    
+    manifestTFs.forEach((commonName, tf) => {
+        if (tfSet.has(tf)) return;
+        manifestOnlyTFs.add(tf);
+        tfSet.add(tf);
+        if (commonName) tfToCommonName[tf] = commonName;
+    });
+}
+
+// Load a TF manifest: one TF per line, systematic ID and optionally its common name
+// The default manifest is downloaded, user files are read as text
+function loadTFManifest(source) {
+    const isDefault = typeof source === 'string';
+    const fileName = isDefault ? source : source.name;
+    console.log('Loading TF manifest', fileName);
+    
+    if (!isDefault) {
+        readTextFile(source, text => applyTFManifestFile(text, fileName));
+        return;
+    }
+    
+    Papa.parse(source, {
+        download: true,
+        delimiter: '\t',
+        header: false,
+        skipEmptyLines: true,
+        complete: results => applyTFManifestRows(results.data, fileName, true),
+        error: function(error) {
+            console.error('Error loading TF manifest:', error);
+        }
+    });
+}
+
+// Use the text of a user's TF manifest, returning whether it listed any TF
+function applyTFManifestFile(text, fileName) {
+    const results = Papa.parse(text, {
+        delimiter: /\.csv$/i.test(fileName) ? ',' : '\t',
+        header: false,
+        skipEmptyLines: true
+    });
+    if (!applyTFManifestRows(results.data, fileName, false)) return false;
+    
+    loadedOverlayFiles.set('tfManifest', { fileName: fileName, text: text });
+    return true;
+}
+
+// Use parsed manifest rows as the TF manifest, returning whether they listed any TF
+function applyTFManifestRows(rows, fileName, isDefault) {
+    const tfs = new Map();
+    let unrecognized = 0;
+    
+    rows.forEach((row, index) => {
+        const cell = String(row[0] || '').trim();
+        
+        // A first row without any digits is a header rather than an ID
+        if (index === 0 && !/\d/.test(cell)) return;
+        if (!cell) {
+            unrecognized++;
+            return;
+        }
+        tfs.set(normalizeSystematicName(cell), String(row[1] || '').trim());
+    });
+    
+    if (tfs.size === 0) {
+        if (!isDefault) alert(`No TF IDs were found in ${fileName}. Expected one systematic ID per line, optionally followed by a common name.`);
+        return false;
+    }
+    
+    tfManifest = { fileName: fileName, tfs: tfs, isDefault: isDefault, unrecognized: unrecognized };
+    if (isDefault) defaultTFManifest = tfManifest;
+    showTFManifestInfo();
+    console.log(`Loaded ${tfs.size} manifest TFs; ${unrecognized} unrecognized lines`);
+    
+    // The network may already be loaded, so rebuild its TF list
+    if (edgeIndex) applyTFManifest();
+    return true;
+}
+
+// Describe the TF manifest in use in the control panel
+function showTFManifestInfo() {
+    if (!tfManifest) {
+        tfManifestInfo.textContent = 'No TF manifest loaded';
+        return;
+    }
+    tfManifestInfo.textContent = `${tfManifest.fileName}: ${tfManifest.tfs.size} TFs` +
+        (tfManifest.unrecognized > 0 ? ` (${tfManifest.unrecognized} lines not recognized)` : '') +
+        (tfManifest.isDefault ? ' (default network only)' : '');
+}
+
+// Rebuild the TF list of the loaded network for a new manifest, keeping the selection
+function applyTFManifest() {
+    const savedTFs = Array.from(selectedTFs);
+    
+    manifestOnlyTFs.forEach(tf => tfSet.delete(tf));
+    addManifestTFs();
+    
+    populateTFList();
+    restoreSelections(tfContainer, savedTFs.filter(tf => tfSet.has(tf)), selectedTFs);
+    updateTFAvailability();
+    buildNameIndex();
+    populatePathFinderOptions();
+    filterItems(tfContainer, tfSearch.value);
+}
+
+// Saved workspaces live in IndexedDB; project files hold the same object as JSON
+const WORKSPACE_DB_NAME = 'crypto-net';
+const WORKSPACE_STORE_NAME = 'workspaces';
+const PROJECT_FILE_FORMAT = 'crypto-net-project';
+const PROJECT_FILE_VERSION = 1;
+
+// Overlay files a workspace restores, in order (the manifest changes the TF list the others refer to)
+const WORKSPACE_OVERLAYS = [
+    { kind: 'tfManifest', apply: applyTFManifestFile },
+    { kind: 'geneAnnotations', apply: applyGeneAnnotationFile },
+    { kind: 'annotations', apply: applyAnnotationFile },
+    { kind: 'expression', apply: applyExpressionFile }
+];
+
+// Promise of the opened workspace database, created on first use
+let workspaceDatabase = null;
+
+// Open the workspace database (rejects where IndexedDB is not available)
+function openWorkspaceDatabase() {
+    if (workspaceDatabase) return workspaceDatabase;
+    
+    workspaceDatabase = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+        
+        const request = indexedDB.open(WORKSPACE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(WORKSPACE_STORE_NAME, { keyPath: 'name' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return workspaceDatabase;
+}
+
+// Run one request on the workspace store, resolving with its result once the transaction is done
+function runWorkspaceRequest(mode, makeRequest) {
+    return openWorkspaceDatabase().then(database => new Promise((resolve, reject) => {
+        const transaction = database.transaction(WORKSPACE_STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(WORKSPACE_STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+// Fill the workspace menu with the saved workspaces, newest first
+function refreshWorkspaceList(selectedName) {
+    return runWorkspaceRequest('readonly', store => store.getAll()).then(workspaces => {
+        workspaces.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+        
+        workspaceList.innerHTML = '';
+        workspaces.forEach(workspace => {
+            const option = document.createElement('option');
+            option.value = workspace.name;
+            option.textContent = `${workspace.name} (${new Date(workspace.savedAt).toLocaleString()})`;
+            workspaceList.appendChild(option);
+        });
+        if (selectedName) workspaceList.value = selectedName;
+        
+        workspaceInfo.textContent = workspaces.length === 0
+            ? 'No saved workspaces'
+            : `${workspaces.length} saved workspace${workspaces.length === 1 ? '' : 's'}`;
+    }, error => {
+        console.log('Saved workspaces are not available:', error);
+        workspaceInfo.textContent = 'Workspaces cannot be saved in this browser. Use project files instead.';
+        ['save-workspace-btn', 'open-workspace-btn', 'delete-workspace-btn'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+        workspaceList.disabled = true;
+    }).catch(error => {
+        console.error('Error listing saved workspaces:', error);
+        workspaceInfo.textContent = 'The saved workspaces could not be listed.';
+    });
+}
+
+// Whether the current view can be saved or replaced by a workspace, alerting when not
+function checkWorkspaceAvailable() {
+    if (isLargeNetworkWarningVisible) {
+        alert('Please respond to the large network warning first.');
+        return false;
+    }
+    if (isComparisonMode) {
+        alert('Workspaces do not include comparisons. Please stop the comparison first.');
+        return false;
+    }
+    if (!edgeIndex) {
+        alert('Please wait for the network to load.');
+        return false;
+    }
+    return true;
+}
+
+// Snapshot of everything a workspace restores: view, expression filter, node positions, overlay files and notes
+function captureWorkspace(name) {
+    rememberNodePositions();
+    const positions = {};
+    nodePositions.forEach((position, id) => {
+        positions[id] = { x: Math.round(position.x * 100) / 100, y: Math.round(position.y * 100) / 100 };
+    });
+    
+    const overlays = {};
+    loadedOverlayFiles.forEach((file, kind) => {
+        overlays[kind] = { fileName: file.fileName, text: file.text };
+    });
+    
+    return {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        name: name,
+        savedAt: new Date().toISOString(),
+        network: { fileName: currentNetworkName, checksum: currentNetworkChecksum },
+        view: captureViewState(),
+        expressionFilter: getExpressionFilterState(),
+        positions: { layout: positionsLayoutName, nodes: positions, pinned: Array.from(pinnedNodeIds) },
+        overlays: overlays,
+        notes: workspaceNotes.value
+    };
+}
+
+// Save the current state under a name, asking before replacing a workspace of that name
+function saveWorkspace(name) {
+    if (!name) {
+        alert('Please enter a name for the workspace.');
+        return Promise.resolve();
+    }
+    if (!checkWorkspaceAvailable()) return Promise.resolve();
+    
+    const workspace = captureWorkspace(name);
+    return runWorkspaceRequest('readonly', store => store.get(name)).then(existing => {
+        if (existing && !confirm(`Replace the saved workspace "${name}"?`)) return;
+        
+        return runWorkspaceRequest('readwrite', store => store.put(workspace)).then(() => {
+            console.log(`WORKSPACE: saved "${name}"`);
+            return refreshWorkspaceList(name);
+        });
+    }).catch(error => {
+        console.error('Error saving workspace:', error);
+        alert(`Could not save the workspace: ${error.message}`);
+    });
+}
+
+// Open a saved workspace
+function openWorkspace(name) {
+    if (!name) {
+        alert('Please choose a saved workspace.');
+        return Promise.resolve();
+    }
+    if (!checkWorkspaceAvailable()) return Promise.resolve();
+    
+    return runWorkspaceRequest('readonly', store => store.get(name)).then(workspace => {
+        if (!workspace) {
+            alert(`The workspace "${name}" no longer exists.`);
+            return refreshWorkspaceList();
+        }
+        applyWorkspace(normalizeWorkspace(workspace));
+    }).catch(error => {
+        console.error('Error opening workspace:', error);
+        alert(`Could not open the workspace: ${error.message}`);
+    });
+}
+
+// Delete a saved workspace after confirmation
+function deleteWorkspace(name) {
+    if (!name || !confirm(`Delete the saved workspace "${name}"?`)) return Promise.resolve();
+    
+    return runWorkspaceRequest('readwrite', store => store.delete(name)).then(() => {
+        console.log(`WORKSPACE: deleted "${name}"`);
+        return refreshWorkspaceList();
+    }).catch(error => {
+        console.error('Error deleting workspace:', error);
+        alert(`Could not delete the workspace: ${error.message}`);
+    });
+}
+
+// Download the current state as a project file
+function exportProjectFile() {
+    if (!checkWorkspaceAvailable()) return;
+    
+    const name = workspaceNameInput.value.trim() || currentNetworkName.replace(/\.[^.]+$/, '') + '_workspace';
+    const content = JSON.stringify(captureWorkspace(name), null, 2);
+    downloadFile(content, name.replace(/[^\w.-]+/g, '_') + '.cryptonet.json', 'application/json');
+}
+
+// Open a project file and keep it among the saved workspaces of this browser
+function importProjectFile(text, fileName) {
+    let workspace;
+    try {
+        workspace = JSON.parse(text);
+    } catch (error) {
+        alert(`${fileName} is not a valid project file: ${error.message}`);
+        return Promise.resolve();
+    }
+    
+    if (!workspace || workspace.format !== PROJECT_FILE_FORMAT || typeof workspace.name !== 'string' || !workspace.name.trim() ||
+        typeof workspace.view !== 'object' || workspace.view === null) {
+        alert(`${fileName} is not a project file.`);
+        return Promise.resolve();
+    }
+    if (workspace.version > PROJECT_FILE_VERSION) {
+        alert(`${fileName} was written by a newer version of this site and cannot be opened.`);
+        return Promise.resolve();
+    }
+    
+    // Only the checked fields are stored, so a hand-edited file cannot break the saved workspace list
+    workspace = normalizeWorkspace(workspace);
+    if (!checkWorkspaceAvailable() || !applyWorkspace(workspace)) return Promise.resolve();
+    
+    return runWorkspaceRequest('readonly', store => store.get(workspace.name)).then(existing => {
+        if (existing && !confirm(`A workspace named "${workspace.name}" is already saved in this browser. Replace it with the imported one?`)) return;
+        
+        return runWorkspaceRequest('readwrite', store => store.put(workspace)).then(() => refreshWorkspaceList(workspace.name));
+    }).catch(error => {
+        console.log('The imported workspace was opened but could not be saved in this browser:', error);
+    });
+}
+
+// Copy of a workspace with the fields it restores checked, using defaults for missing or invalid ones
+// (the view is checked when it is applied, see getWorkspaceViewState)
+function normalizeWorkspace(workspace) {
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    const text = (value, fallback) => typeof value === 'string' ? value : fallback;
+    const savedAt = new Date(workspace.savedAt);
+    const network = isObject(workspace.network) ? workspace.network : {};
+    const positions = isObject(workspace.positions) ? workspace.positions : {};
+    const expressionFilter = isObject(workspace.expressionFilter) ? workspace.expressionFilter : null;
+    const overlays = isObject(workspace.overlays) ? workspace.overlays : {};
+    
+    const nodes = {};
+    Object.entries(isObject(positions.nodes) ? positions.nodes : {}).forEach(([id, position]) => {
+        if (isObject(position) && isFinite(position.x) && isFinite(position.y)) {
+            nodes[id] = { x: Number(position.x), y: Number(position.y) };
+        }
+    });
+    
+    const files = {};
+    WORKSPACE_OVERLAYS.forEach(overlay => {
+        const file = overlays[overlay.kind];
+        if (isObject(file) && typeof file.text === 'string') {
+            files[overlay.kind] = { fileName: text(file.fileName, overlay.kind), text: file.text };
+        }
+    });
+    
+    return {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        name: workspace.name.trim(),
+        savedAt: isNaN(savedAt.getTime()) ? new Date().toISOString() : savedAt.toISOString(),
+        network: { fileName: text(network.fileName, ''), checksum: text(network.checksum, '') },
+        view: isObject(workspace.view) ? workspace.view : {},
+        expressionFilter: expressionFilter && {
+            isEnabled: expressionFilter.isEnabled === true,
+            cutoff: String(expressionFilter.cutoff),
+            condition: String(expressionFilter.condition)
+        },
+        positions: {
+            layout: typeof positions.layout === 'string' ? positions.layout : null,
+            nodes: nodes,
+            pinned: Array.isArray(positions.pinned) ? positions.pinned.map(String).filter(id => Object.prototype.hasOwnProperty.call(nodes, id)) : []
+        },
+        overlays: files,
+        notes: text(workspace.notes, '')
+    };
+}
+
+// Check the workspace was saved with the loaded network (by checksum, so a renamed copy matches)
+// or let the user open it anyway
+function confirmWorkspaceNetwork(workspace) {
+    const saved = workspace.network || {};
+    if (saved.checksum && saved.checksum === currentNetworkChecksum) return true;
+    
+    const problem = saved.fileName === currentNetworkName
+        ? `The loaded ${currentNetworkName} is not the file the workspace "${workspace.name}" was saved with (checksum ${saved.checksum}, loaded ${currentNetworkChecksum}).`
+        : `The workspace "${workspace.name}" was saved with ${saved.fileName}, but ${currentNetworkName} is loaded.`;
+    console.log('WORKSPACE: network mismatch.', problem);
+    
+    return confirm(`${problem}\n\nLoad the matching network file first, or press OK to open the workspace anyway ` +
+                   '(TFs and genes missing from the loaded network are left out).');
+}
+
+// Turn the view of a workspace into a view state, falling back to defaults for missing or invalid values
+function getWorkspaceViewState(view) {
+    const number = (value, fallback) => typeof value === 'number' && isFinite(value) ? value : fallback;
+    const list = values => Array.isArray(values) ? values.map(String) : [];
+    const pan = view.pan || {};
+    
+    return {
+        tfs: list(view.tfs),
+        genes: list(view.genes),
+        minConfidence: number(view.minConfidence, parseFloat(confidenceSlider.min)),
+        maxConfidence: number(view.maxConfidence, parseFloat(confidenceMaxSlider.max)),
+        topPerTF: parseTopPerTF(String(view.topPerTF || '')),
+        topPercent: parseTopPercent(String(view.topPercent || '')),
+        layout: typeof view.layout === 'string' ? view.layout : currentLayoutName,
+        sign: view.sign === 'activation' || view.sign === 'repression' ? view.sign : 'all',
+        isOverview: view.isOverview === true,
+        zoom: number(view.zoom, null),
+        pan: number(pan.x, null) !== null && number(pan.y, null) !== null ? { x: pan.x, y: pan.y } : null
+    };
+}
+
+// Restore a workspace: overlay files, expression filter, node positions and notes, then the view
+// Returns false when the user declined to open it on a different network
+function applyWorkspace(workspace) {
+    if (!confirmWorkspaceNetwork(workspace)) return false;
+    console.log(`WORKSPACE: opening "${workspace.name}" saved ${workspace.savedAt}`);
+    
+    // Overlays of the previous analysis are dropped, so only the ones saved with the workspace are shown
+    // The expression filter is set once its table is loaded, so loading it does not re-render the old view
+    clearOverlays();
+    const overlays = workspace.overlays || {};
+    WORKSPACE_OVERLAYS.forEach(overlay => {
+        const file = overlays[overlay.kind];
+        if (file && typeof file.text === 'string') {
+            overlay.apply(file.text, String(file.fileName || overlay.kind));
+        }
+    });
+    
+    const expressionFilter = workspace.expressionFilter;
+    if (expressionData && expressionFilter && overlays.expression) {
+        const cutoff = parseFloat(expressionFilter.cutoff);
+        const condition = parseInt(expressionFilter.condition, 10);
+        expressionFilterCheckbox.checked = expressionFilter.isEnabled === true;
+        if (isFinite(cutoff) && cutoff >= 0) expressionCutoffInput.value = cutoff;
+        if (condition >= 0 && condition < expressionData.conditions.length) {
+            expressionConditionSelect.value = condition;
+        }
+        applyExpressionColors();
+    }
+    rememberExpressionFilterState();
+    
+    // Saved positions replace the current ones, and are used as long as the saved layout is
+    // The old view is cleared first, as a re-render keeps the positions of nodes already shown
+    if (cy) cy.elements().remove();
+    isNetworkRendered = false;
+    clearNodePositions();
+    const positions = workspace.positions || {};
+    Object.entries(positions.nodes || {}).forEach(([id, position]) => {
+        if (position && isFinite(position.x) && isFinite(position.y)) {
+            nodePositions.set(id, { x: Number(position.x), y: Number(position.y) });
+        }
+    });
+    (Array.isArray(positions.pinned) ? positions.pinned : []).forEach(id => {
+        if (nodePositions.has(id)) pinnedNodeIds.add(id);
+    });
+    positionsLayoutName = nodePositions.size > 0 ? positions.layout || null : null;
+    
+    workspaceNotes.value = typeof workspace.notes === 'string' ? workspace.notes : '';
+    workspaceNameInput.value = workspace.name;
+    
+    applyViewState(getWorkspaceViewState(workspace.view), true);
+    scheduleUrlStateUpdate();
+    
+    workspaceInfo.textContent = `Opened "${workspace.name}" (saved ${new Date(workspace.savedAt).toLocaleString()})`;
+    return true;
+}
+
+// Drop the expression table, annotations and the user's TF manifest (the default manifest is used again)
+function clearOverlays() {
+    loadedOverlayFiles.clear();
+    
+    expressionData = null;
+    expressionFilterCheckbox.checked = false;
+    expressionFilterCheckbox.disabled = true;
+    expressionConditionSelect.innerHTML = '';
+    expressionConditionSelect.disabled = true;
+    expressionInfo.textContent = 'No expression data loaded (gene ID, then one log2 fold change column per condition)';
+    applyExpressionColors();
+    rememberExpressionFilterState();
+    
+    annotationTerms = new Map();
+    annotationFileName = null;
+    annotationInfo.textContent = 'No annotations loaded (TSV or GMT keyed by CNAG IDs)';
+    
+    geneAnnotations = new Map();
+    geneAnnotationInfo.textContent = 'No gene annotations loaded (systematic ID, aliases, description)';
+    buildNameIndex();
+    filterItems(tfContainer, tfSearch.value);
+    filterItems(geneContainer, geneSearch.value);
+    
+    if (tfManifest && !tfManifest.isDefault) {
+        tfManifest = defaultTFManifest;
+        showTFManifestInfo();
+        if (edgeIndex) applyTFManifest();
+    }
+}
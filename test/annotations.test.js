@@ -0,0 +1,33 @@
+// Term annotations for enrichment, loaded from TSV files
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+// Load annotation text the way a chosen file is loaded
+function loadAnnotations(text) {
+    page.window.eval(`applyAnnotationFile(${JSON.stringify(text)}, 'annotations.tsv')`);
+    return page.document.getElementById('annotation-info').textContent;
+}
+
+test('A header row is not counted as an unmatched gene ID', () => {
+    const info = loadAnnotations('gene_id\tterm\tname\n10000\tGO:1\tstress\n10001\tGO:1\tstress\n');
+    
+    assert.strictEqual(info, 'annotations.tsv: 1 terms, 2 annotated genes');
+});
+
+test('Gene IDs missing from the network are reported', () => {
+    const info = loadAnnotations('gene_id\tterm\n10000\tGO:1\n99999\tGO:2\n88888\tGO:2\n');
+    
+    assert.strictEqual(info, 'annotations.tsv: 1 terms, 1 annotated genes (2 IDs not in the network)');
+});
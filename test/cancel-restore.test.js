@@ -0,0 +1,78 @@
+// Cancel on the large network warning puts back the state from before the change
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+test('Cancel after Select All restores the earlier selection and view', () => {
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 102);
+    
+    page.document.getElementById('select-all-tf').click();
+    assert.strictEqual(page.isWarningVisible(), true);
+    
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.deepStrictEqual(page.evaluate('Array.from(selectedTFs)'), ['90001']);
+    assert.strictEqual(page.tfCheckbox('90002').checked, false);
+    assert.strictEqual(page.evaluate('selectedGenes.size'), 311);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 102);
+    assert.strictEqual(page.evaluate('preLargeNetworkState'), null);
+});
+
+test('Cancel after checking one TF unchecks only that TF', () => {
+    ['90001', '90002', '90003'].forEach(id => page.tfCheckbox(id).click());
+    page.document.getElementById('select-all-genes').click();
+    assert.strictEqual(page.isWarningVisible(), false);
+    const renderedNodes = page.evaluate('cy.nodes().length');
+    
+    page.tfCheckbox('90004').click();
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.evaluate('lastChangeInfo.checkbox.value'), '90004');
+    
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    assert.strictEqual(page.tfCheckbox('90004').checked, false);
+    assert.deepStrictEqual(page.evaluate('Array.from(selectedTFs).sort()'), ['90001', '90002', '90003']);
+    assert.strictEqual(page.evaluate('lastChangeInfo'), null);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), renderedNodes);
+});
+
+test('A Select All that draws nothing does not leave state for a later Cancel', () => {
+    page.document.getElementById('select-all-tf').click();
+    assert.strictEqual(page.evaluate('preLargeNetworkState'), null);
+    
+    page.document.getElementById('select-all-genes').click();
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    // Back to all TFs and no genes, as before the gene Select All
+    assert.strictEqual(page.evaluate('selectedTFs.size'), 4);
+    assert.strictEqual(page.evaluate('selectedGenes.size'), 0);
+    assert.strictEqual(page.geneCheckbox('10005').checked, false);
+});
+
+test('Proceed after a Cancel uses the next change only', () => {
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('proceed-anyway-btn').click();
+    
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 314);
+    assert.strictEqual(page.evaluate('preLargeNetworkState'), null);
+    assert.strictEqual(page.evaluate('lastChangeInfo'), null);
+});
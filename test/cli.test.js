@@ -0,0 +1,127 @@
+// The crypto-net command line tool and the network-data.js functions it shares with the page
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+const CLI = path.join(__dirname, '..', 'bin', 'crypto-net.js');
+const NETWORK = path.join(__dirname, 'fixtures', 'network.tsv');
+const NP3_NETWORK = path.join(__dirname, 'fixtures', 'network_np3.tsv');
+const UPLOADED_NETWORK = path.join(__dirname, 'fixtures', 'uploaded_network.tsv');
+
+// Run the tool on a fixture network, returning its exit status and output
+function runCLI(args, network = NETWORK) {
+    const result = spawnSync(process.execPath, [CLI, ...args, '--network', network], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Run the tool and parse its JSON output
+function runJSON(args, network) {
+    const result = runCLI([...args, '--format', 'json'], network);
+    assert.strictEqual(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+}
+
+// TSV lines in a fixed order, header first, so outputs of the page and the tool compare
+function sortLines(tsv) {
+    const lines = tsv.trim().split('\n');
+    return [lines[0], ...lines.slice(1).sort()];
+}
+
+test('query lists the edges from a TF by common name above the threshold', () => {
+    const edges = runJSON(['query', '--tf', 'TFA', '--min', '0.9']);
+    
+    assert.strictEqual(edges.length, 8);
+    assert.ok(edges.every(edge => edge.regulator === '90001' && edge.value >= 0.9));
+    assert.deepStrictEqual(edges.find(edge => edge.target === '90002'),
+        { regulator: '90001', target: '90002', regulatorName: 'TFA', targetName: 'TFB', value: 0.9 });
+});
+
+test('query keeps each TF\'s strongest edges with a rank cutoff whatever --min says', () => {
+    const result = runCLI(['query', '--tf', 'TFA', '--top-per-tf', '3', '--min', '0.99']);
+    
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stderr, /--min and --max are not applied/);
+    assert.deepStrictEqual(result.stdout.trim().split('\n').slice(1).map(line => line.split('\t')[4]),
+        ['0.95', '0.942', '0.934']);
+});
+
+test('query starts from the lowest VALUE of a network cut below 0.14, as the page\'s slider does', () => {
+    const edges = runJSON(['query', '--tf', 'TFA'], UPLOADED_NETWORK);
+    
+    assert.deepStrictEqual(edges.map(edge => edge.value), [0.05, 0.04]);
+});
+
+test('neighbors gives the same edges as expanding the node on the page', async () => {
+    const result = runCLI(['neighbors', '--node', 'TFA', '--hops', '2', '--min', '0.9']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    
+    const page = await loadPage();
+    try {
+        await page.setConfidence(0.9);
+        page.window.eval(`expandNeighborhood('90001', 'downstream', 2)`);
+        const pageTSV = page.window.eval('buildTSVExport(getExportElements().edges)');
+    
+        assert.deepStrictEqual(sortLines(result.stdout), sortLines(pageTSV));
+        assert.deepStrictEqual(page.errors, []);
+    } finally {
+        page.close();
+    }
+});
+
+test('A rank cutoff gives the same edges on the page and in the tool, below 0.14 too', async () => {
+    const result = runCLI(['query', '--tf', 'TFA,TFB', '--top-per-tf', '1'], UPLOADED_NETWORK);
+    assert.strictEqual(result.status, 0, result.stderr);
+    
+    const page = await loadPage({ network: 'uploaded_network.tsv' });
+    try {
+        const topPerTF = page.document.getElementById('top-per-tf');
+        topPerTF.value = '1';
+        topPerTF.dispatchEvent(new page.window.Event('change'));
+        page.tfCheckbox('90001').click();
+        page.tfCheckbox('90002').click();
+        page.document.getElementById('select-all-genes').click();
+        const pageTSV = page.window.eval('buildTSVExport(getExportElements().edges)');
+        
+        assert.strictEqual(page.evaluate('getMinConfidence()'), 0);
+        assert.deepStrictEqual(sortLines(pageTSV), sortLines(result.stdout));
+        assert.deepStrictEqual(sortLines(pageTSV).slice(1).map(line => line.split('\t').slice(0, 2).join('>')),
+            ['90001>10010', '90002>10012']);
+        assert.deepStrictEqual(page.errors, []);
+    } finally {
+        page.close();
+    }
+});
+
+test('paths finds the shortest path and the strongest path through another TF', () => {
+    const result = runJSON(['paths', '--from', 'TFA', '--to', '10094', '--k', '1']);
+    
+    assert.deepStrictEqual(result.paths.map(entry => [entry.kind, entry.nodes.join('>'), entry.weight]), [
+        ['shortest', '90001>10094', 0.78],
+        ['top', '90001>90002>10094', 0.855]
+    ]);
+});
+
+test('stats describes the whole network', () => {
+    const stats = runJSON(['stats']);
+    
+    assert.strictEqual(stats.edgeCount, 401);
+    assert.strictEqual(stats.regulatorCount, 4);
+    assert.strictEqual(stats.tfToTFEdges, 1);
+});
+
+test('An np3 file gives the same answers as its systematic/common name version', () => {
+    const strip = edges => edges.map(edge => [edge.regulator, edge.target, edge.value]);
+    
+    assert.deepStrictEqual(strip(runJSON(['query', '--tf', '90001', '--min', '0.5'], NP3_NETWORK)),
+        strip(runJSON(['query', '--tf', '90001', '--min', '0.5'])));
+    assert.strictEqual(runJSON(['stats'], NP3_NETWORK).edgeCount, 401);
+});
+
+test('Unknown names are reported with a non-zero exit status', () => {
+    const result = runCLI(['query', '--tf', 'NOSUCHTF']);
+    
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stderr, 'crypto-net: "NOSUCHTF" is not a TF in this network\n');
+});
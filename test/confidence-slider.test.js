@@ -0,0 +1,72 @@
+// Warnings driven by the confidence slider
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+// Everything selected at a threshold where the network is small enough to draw
+async function selectEverythingAt(confidence) {
+    await page.setConfidence(confidence);
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    assert.strictEqual(page.isWarningVisible(), false);
+}
+
+test('Lowering the threshold past the limit warns, and Cancel restores the threshold', async () => {
+    await selectEverythingAt(0.6);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 157);
+    
+    await page.setConfidence(0.14);
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.evaluate('lastChangeInfo.isConfidenceChange'), true);
+    
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    assert.strictEqual(page.document.getElementById('confidence-slider').value, '0.6');
+    assert.strictEqual(page.document.getElementById('confidence-value').textContent, '0.60');
+    assert.strictEqual(page.evaluate('previousConfidence'), 0.6);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 157);
+});
+
+test('Raising the threshold while the warning is shown draws the smaller network', async () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    assert.strictEqual(page.isWarningVisible(), true);
+    
+    await page.setConfidence(0.6);
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 157);
+    assert.strictEqual(page.evaluate('preLargeNetworkState'), null);
+});
+
+test('Moving the threshold while the warning is shown updates the counts', async () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    
+    await page.setConfidence(0.3);
+    
+    assert.strictEqual(page.isWarningVisible(), true);
+    const size = page.evaluate('calculateNetworkSize()');
+    assert.ok(size.nodeCount < 314);
+    assert.strictEqual(page.document.getElementById('warning-node-count').textContent, String(size.nodeCount));
+});
+
+test('Raising the threshold never warns', async () => {
+    await selectEverythingAt(0.6);
+    
+    await page.setConfidence(0.8);
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.ok(page.evaluate('cy.nodes().length') < 157);
+});
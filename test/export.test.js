@@ -0,0 +1,62 @@
+// Network export writes the elements that are on screen
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+// Export of the rendered network in a format, as its file content
+function exportAs(format) {
+    const builders = {
+        tsv: 'buildTSVExport(elements.edges)',
+        sif: 'buildSIFExport(elements.nodes, elements.edges)',
+        graphml: 'buildGraphMLExport(elements.nodes, elements.edges)'
+    };
+    return page.window.eval(`(() => { const elements = getExportElements(); return ${builders[format]}; })()`);
+}
+
+test('The export holds the rendered edges while the slider has not re-rendered yet', async () => {
+    await page.setConfidence(0.6);
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    const renderedEdges = page.evaluate('cy.edges().length');
+    assert.ok(renderedEdges > 0);
+    
+    // The slider only re-renders after its debounce, so the view still shows the old threshold
+    const slider = page.document.getElementById('confidence-slider');
+    slider.value = '0.9';
+    slider.dispatchEvent(new page.window.Event('input'));
+    
+    assert.strictEqual(page.evaluate('getExportElements().edges.length'), renderedEdges);
+    assert.strictEqual(exportAs('tsv').trim().split('\n').length, renderedEdges + 1);
+    
+    // Let the debounced re-render finish before the page is closed
+    await new Promise(resolve => setTimeout(resolve, 350));
+});
+
+test('The regulon overview exports regulation between TFs, not the shared target edges', () => {
+    const overlapMinimum = page.document.getElementById('regulon-overlap-min');
+    overlapMinimum.value = '0.1';
+    overlapMinimum.dispatchEvent(new page.window.Event('change'));
+    const overview = page.document.getElementById('regulon-overview');
+    overview.checked = true;
+    overview.dispatchEvent(new page.window.Event('change'));
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    assert.ok(page.evaluate(`cy.edges('[overlap]').length`) > 0);
+    
+    const tsvLines = exportAs('tsv').trim().split('\n');
+    assert.strictEqual(tsvLines.length, 2);
+    assert.match(tsvLines[1], /^90001\t90002\t.*\t0\.9$/);
+    assert.strictEqual(exportAs('sif').split('\n').filter(line => line.includes('regulates')).length, 1);
+    assert.ok(!exportAs('graphml').includes('undefined'));
+});
@@ -0,0 +1,143 @@
+// Load index.html with network-data.js and network.js in jsdom, against the fixture network
+// The CDN scripts are replaced: Papa serves fixture files for its downloads and Cytoscape runs headless
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const Papa = require('papaparse');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Files the page downloads at startup, served from the fixtures
+const FIXTURE_DOWNLOADS = {
+    'net_np3_sys_com_100.tsv': 'network.tsv',
+    'tf_manifest.tsv': 'tf_manifest.tsv'
+};
+
+// Papa with downloads read from the fixtures, parsed asynchronously like the real download
+// networkFixture replaces the default network with another fixture file
+function createPapaStub(networkFixture) {
+    const downloads = Object.assign({}, FIXTURE_DOWNLOADS, networkFixture ? { 'net_np3_sys_com_100.tsv': networkFixture } : {});
+    return {
+        parse(source, config) {
+            if (typeof source === 'string' && config.download) {
+                const { download, ...options } = config;
+                const fixture = downloads[source];
+                setTimeout(() => {
+                    if (!fixture) {
+                        config.error(new Error(`No fixture for ${source}`));
+                        return;
+                    }
+                    Papa.parse(fs.readFileSync(path.join(FIXTURES, fixture), 'utf8'), options);
+                }, 0);
+                return;
+            }
+            return Papa.parse(source, config);
+        },
+        unparse: Papa.unparse
+    };
+}
+
+// Poll until check() returns a truthy value
+async function waitFor(check, description, timeout = 3000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const value = check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+// Boot the page and wait for the fixture network to be listed
+// options.indexedDB shares saved workspaces between pages, otherwise each page starts without any
+// options.network names a fixture file to load instead of network.tsv
+async function loadPage(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script[^>]*\ssrc="[^"]*"[^>]*><\/script>/g, '');
+    
+    // Page logging is very chatty, so only script errors are kept
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    virtualConsole.on('error', (...messages) => errors.push(new Error(messages.join(' '))));
+    
+    const dom = new JSDOM(html, {
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        url: 'http://localhost/',
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+    
+    const alerts = [];
+    window.alert = message => alerts.push(message);
+    window.confirm = () => true;
+    window.Papa = createPapaStub(options.network);
+    window.indexedDB = options.indexedDB || new IDBFactory();
+    
+    // The page's scripts run as classic scripts, in the order index.html loads them
+    const addScript = text => {
+        const script = window.document.createElement('script');
+        script.textContent = text;
+        window.document.body.appendChild(script);
+    };
+    addScript(fs.readFileSync(require.resolve('cytoscape/dist/cytoscape.min.js'), 'utf8'));
+    addScript(`
+        const realCytoscape = window.cytoscape;
+        window.cytoscape = function(options) {
+            const headlessOptions = Object.assign({}, options, { headless: true, styleEnabled: true });
+            delete headlessOptions.container;
+            return realCytoscape(headlessOptions);
+        };
+        Object.assign(window.cytoscape, realCytoscape);
+    `);
+    addScript(fs.readFileSync(path.join(ROOT, 'network-data.js'), 'utf8'));
+    addScript(fs.readFileSync(path.join(ROOT, 'network.js'), 'utf8'));
+    
+    const document = window.document;
+    await waitFor(() => document.querySelectorAll('#transcription-factors input[type="checkbox"]').length > 0,
+        'the fixture network to load');
+    
+    return {
+        window: window,
+        document: document,
+        alerts: alerts,
+        errors: errors,
+        
+        // Run an expression in the page, where the scripts' top-level bindings are visible
+        // The result comes back as plain JSON data so it compares with this realm's arrays
+        evaluate(expression) {
+            const json = JSON.stringify(window.eval(expression));
+            return json === undefined ? undefined : JSON.parse(json);
+        },
+        
+        tfCheckbox(id) {
+            return document.querySelector(`#transcription-factors input[value="${id}"]`);
+        },
+        
+        geneCheckbox(id) {
+            return document.querySelector(`#target-genes input[value="${id}"]`);
+        },
+        
+        isWarningVisible() {
+            return document.getElementById('large-network-warning').style.display === 'flex';
+        },
+        
+        // Move the confidence slider and wait for its debounced update
+        async setConfidence(value) {
+            const slider = document.getElementById('confidence-slider');
+            slider.value = String(value);
+            slider.dispatchEvent(new window.Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 350));
+        },
+        
+        close() {
+            window.close();
+        }
+    };
+}
+
+module.exports = { loadPage, waitFor };
@@ -0,0 +1,77 @@
+// Network files other than the published one: lower threshold cuts, names and load problems
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+const { parseNetworkText, getThresholdAdjacencyFromIndex, findPaths, getPathWeight } = require('../network-data');
+
+test('A network cut below 0.14 opens the slider down to its weakest edge', async () => {
+    const page = await loadPage({ network: 'uploaded_network.tsv' });
+    try {
+        const slider = page.document.getElementById('confidence-slider');
+        assert.strictEqual(slider.min, '0.04');
+        assert.strictEqual(slider.value, '0.04');
+        assert.strictEqual(page.document.getElementById('confidence-range-min').textContent, '0.04');
+        
+        page.tfCheckbox('90001').click();
+        page.document.getElementById('select-all-genes').click();
+        assert.deepStrictEqual(page.evaluate(`cy.edges().map(edge => edge.data('confidence')).sort()`), [0.04, 0.05]);
+        
+        // Going back to everything on the network resets the slider to the new minimum
+        await page.setConfidence(0.3);
+        page.document.getElementById('reset-btn').click();
+        assert.strictEqual(slider.value, '0.04');
+        assert.deepStrictEqual(page.errors, []);
+    } finally {
+        page.close();
+    }
+});
+
+test('The published network keeps its 0.14 slider minimum', async () => {
+    const page = await loadPage();
+    try {
+        assert.strictEqual(page.document.getElementById('confidence-slider').min, '0.14');
+        assert.strictEqual(page.document.getElementById('confidence-max-slider').min, '0.14');
+    } finally {
+        page.close();
+    }
+});
+
+test('Names from a network file are shown as text in the edge details', async () => {
+    const page = await loadPage({ network: 'uploaded_network.tsv' });
+    try {
+        page.tfCheckbox('90002').click();
+        page.document.getElementById('select-all-genes').click();
+        page.window.eval(`cy.getElementById('90002-10013').emit('tap')`);
+        
+        const nodeName = page.document.getElementById('node-name');
+        assert.strictEqual(nodeName.querySelector('img'), null);
+        assert.strictEqual(nodeName.querySelector('i').textContent, '<img src=x onerror=alert(1)>');
+        assert.strictEqual(nodeName.textContent, 'Tfb → <img src=x onerror=alert(1)>');
+        assert.deepStrictEqual(page.errors, []);
+    } finally {
+        page.close();
+    }
+});
+
+test('Problems are reported on their line of the file, counting blank lines', () => {
+    const text = 'REGULATOR\tTARGET\tVALUE\nCNAG_00001\tCNAG_00002\t0.5\n\n\nCNAG_00001\tCNAG_00003\thigh\nCNAG_00001\n';
+    const result = parseNetworkText(text, 'gaps.tsv', {}).result;
+    
+    assert.strictEqual(result.rows.length, 1);
+    assert.deepStrictEqual(result.problems.map(problem => problem.line), [5, 6]);
+    assert.match(result.problems[0].message, /VALUE "high" is not a number/);
+});
+
+test('VALUEs that are not confidences are reported and left out, so paths stay ranked by confidence', () => {
+    const text = 'REGULATOR\tTARGET\tVALUE\n' +
+        'CNAG_00001\tCNAG_00002\t0.5\nCNAG_00001\tCNAG_00003\t0\nCNAG_00002\tCNAG_00003\t1.5\n' +
+        'CNAG_00002\tCNAG_00003\t-0.4\nCNAG_00001\tCNAG_00004\t-2\nCNAG_00004\tCNAG_00003\t1\n';
+    const { result, index } = parseNetworkText(text, 'weights.tsv', {});
+    
+    assert.deepStrictEqual(result.problems.map(problem => problem.line), [3, 4, 6]);
+    assert.match(result.problems[1].message, /VALUE "1\.5" is not a confidence above 0 and at most 1/);
+    assert.deepStrictEqual(result.rows.map(row => row.VALUE), [0.5, 0.4, 1]);
+    
+    const paths = findPaths(getThresholdAdjacencyFromIndex(index, 0), '00001', '00003', 1);
+    assert.deepStrictEqual(paths.topPaths.map(path => [path.nodes.join('>'), getPathWeight(path)]), [['00001>00002>00003', 0.2]]);
+});
@@ -0,0 +1,157 @@
+// Upper confidence bound, rank cutoffs and presets of the Confidence Filter
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+// Set a Confidence Filter control the way the user does
+function setControl(id, value) {
+    const control = page.document.getElementById(id);
+    control.value = String(value);
+    control.dispatchEvent(new page.window.Event('input'));
+    control.dispatchEvent(new page.window.Event('change'));
+}
+
+function selectEverything() {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+}
+
+test('The upper bound limits the drawn edges to a confidence band', async () => {
+    await page.setConfidence(0.6);
+    selectEverything();
+    
+    setControl('confidence-max-slider', 0.8);
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.strictEqual(page.document.getElementById('confidence-max-value').textContent, '0.80');
+    const values = page.evaluate(`cy.edges().map(edge => edge.data('confidence'))`);
+    assert.ok(values.length > 0);
+    assert.ok(values.every(value => value >= 0.6 && value <= 0.8));
+});
+
+test('The upper handle cannot pass the lower one', async () => {
+    await page.setConfidence(0.6);
+    
+    setControl('confidence-max-slider', 0.3);
+    
+    assert.strictEqual(page.document.getElementById('confidence-max-slider').value, '0.6');
+});
+
+test('A per-TF cutoff keeps each TF\'s strongest targets and dismisses the warning', () => {
+    selectEverything();
+    assert.strictEqual(page.isWarningVisible(), true);
+    
+    setControl('top-per-tf', 10);
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.deepStrictEqual(page.evaluate(`cy.nodes('[nodeType="TF"], [nodeType="TF-target"]').map(node => node.outgoers('edge').length)`),
+        [10, 10, 10, 10]);
+    assert.strictEqual(page.evaluate('calculateNetworkSize().edgeCount'), 40);
+    assert.strictEqual(page.document.getElementById('range-filter-info').textContent, '40 of 401 edges pass (10.0%)');
+});
+
+test('A top percent preset keeps the strongest edges of the whole network', () => {
+    setControl('confidence-preset', 'top-5-percent');
+    selectEverything();
+    
+    // 5% of 401 edges, rounded up
+    assert.strictEqual(page.evaluate('calculateNetworkSize().edgeCount'), 21);
+    assert.strictEqual(page.evaluate('cy.edges().length'), 21);
+    assert.strictEqual(page.document.getElementById('top-percent').value, '5');
+    assert.strictEqual(page.document.getElementById('top-per-tf').value, '');
+});
+
+test('Widening the range past the limit warns, and Cancel restores the preset', () => {
+    setControl('confidence-preset', 'medium');
+    selectEverything();
+    assert.strictEqual(page.isWarningVisible(), false);
+    const renderedNodes = page.evaluate('cy.nodes().length');
+    
+    setControl('confidence-preset', 'published');
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.document.getElementById('warning-node-count').textContent, '314');
+    
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    assert.strictEqual(page.document.getElementById('confidence-preset').value, 'medium');
+    assert.strictEqual(page.document.getElementById('confidence-slider').value, '0.25');
+    assert.strictEqual(page.document.getElementById('confidence-max-slider').value, '0.5');
+    assert.strictEqual(page.evaluate('previousConfidence'), 0.25);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), renderedNodes);
+});
+
+test('Changing a control by hand switches the preset to Custom', async () => {
+    setControl('confidence-preset', 'high');
+    assert.strictEqual(page.document.getElementById('confidence-slider').value, '0.5');
+    
+    await page.setConfidence(0.55);
+    
+    assert.strictEqual(page.document.getElementById('confidence-preset').value, '');
+});
+
+test('The range and rank cutoffs are part of the shareable URL', () => {
+    setControl('confidence-preset', 'medium');
+    
+    let hash = page.evaluate('encodeViewStateHash(captureViewState())');
+    assert.match(hash, /min=0\.25&max=0\.50&/);
+    
+    // A rank cutoff replaces the confidence band
+    setControl('top-per-tf', 25);
+    hash = page.evaluate('encodeViewStateHash(captureViewState())');
+    assert.match(hash, /min=0\.14&top=25&/);
+    
+    const state = page.evaluate(`parseViewStateHash('#${hash}')`);
+    assert.strictEqual(state.maxConfidence, 1);
+    assert.strictEqual(state.topPerTF, 25);
+    assert.strictEqual(state.topPercent, 0);
+});
+
+test('A per-TF cutoff keeps each TF\'s strongest targets whatever the confidence bounds were', async () => {
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+    
+    // No edge of the fixture reaches 0.96, so the bounds alone show nothing
+    await page.setConfidence(0.96);
+    setControl('confidence-max-slider', 0.98);
+    assert.strictEqual(page.evaluate('cy.edges().length'), 0);
+    
+    setControl('top-per-tf', 2);
+    
+    assert.deepStrictEqual(page.evaluate(`cy.edges().map(edge => edge.data('confidence')).sort()`), [0.942, 0.95]);
+    assert.strictEqual(page.document.getElementById('confidence-slider').disabled, true);
+    assert.strictEqual(page.document.getElementById('confidence-value').textContent, '0.14');
+    assert.strictEqual(page.document.getElementById('confidence-max-value').textContent, '1.00');
+    
+    setControl('top-per-tf', '');
+    
+    assert.strictEqual(page.document.getElementById('confidence-slider').disabled, false);
+    assert.strictEqual(page.document.getElementById('confidence-max-slider').disabled, false);
+});
+
+test('Cancel after a rank cutoff puts back the confidence band and enables the sliders', async () => {
+    await page.setConfidence(0.3);
+    setControl('confidence-max-slider', 0.5);
+    selectEverything();
+    const renderedEdges = page.evaluate('cy.edges().length');
+    
+    setControl('top-percent', 90);
+    assert.strictEqual(page.isWarningVisible(), true);
+    page.document.getElementById('cancel-visualization-btn').click();
+    
+    assert.strictEqual(page.document.getElementById('confidence-slider').value, '0.3');
+    assert.strictEqual(page.document.getElementById('confidence-max-slider').value, '0.5');
+    assert.strictEqual(page.document.getElementById('confidence-slider').disabled, false);
+    assert.strictEqual(page.document.getElementById('top-percent').value, '');
+    assert.strictEqual(page.evaluate('cy.edges().length'), renderedEdges);
+});
@@ -0,0 +1,69 @@
+// Select All / Clear All on the TF and gene lists
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+test('Select All TFs skips TFs without edges at the threshold', () => {
+    page.document.getElementById('select-all-tf').click();
+    
+    assert.strictEqual(page.tfCheckbox('90005').disabled, true);
+    assert.strictEqual(page.tfCheckbox('90005').checked, false);
+    assert.deepStrictEqual(page.evaluate('Array.from(selectedTFs).sort()'), ['90001', '90002', '90003', '90004']);
+    assert.strictEqual(page.isWarningVisible(), false);
+});
+
+test('Select All on both lists warns before drawing a large network', () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.document.getElementById('warning-node-count').textContent, '314');
+    assert.strictEqual(page.evaluate('cy.elements().length'), 0);
+    assert.deepStrictEqual(page.evaluate('preLargeNetworkState.selectedTFs'), ['90001', '90002', '90003', '90004']);
+    assert.deepStrictEqual(page.evaluate('preLargeNetworkState.selectedGenes'), []);
+});
+
+test('Proceed Anyway draws the network and forgets the saved state', () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    page.document.getElementById('proceed-anyway-btn').click();
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 314);
+    assert.strictEqual(page.evaluate('cy.edges().length'), 401);
+    assert.strictEqual(page.evaluate('preLargeNetworkState'), null);
+    assert.strictEqual(page.evaluate('lastChangeInfo'), null);
+});
+
+test('Select All is ignored while the warning is shown', () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('select-all-genes').click();
+    page.document.getElementById('clear-all-tf').click();
+    
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.evaluate('selectedTFs.size'), 4);
+});
+
+test('Clear All empties a list without a warning', () => {
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 102);
+    
+    page.document.getElementById('clear-all-genes').click();
+    
+    assert.strictEqual(page.isWarningVisible(), false);
+    assert.strictEqual(page.evaluate('selectedGenes.size'), 0);
+    assert.strictEqual(page.geneCheckbox('10005').checked, false);
+    assert.strictEqual(page.evaluate('cy.elements().length'), 0);
+});
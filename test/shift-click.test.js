@@ -0,0 +1,76 @@
+// Shift+click group selection on TF nodes and selecting a TF's targets
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+});
+
+afterEach(() => {
+    assert.deepStrictEqual(page.errors, []);
+    page.close();
+});
+
+// Shift+click a node in the graph
+function shiftClick(id) {
+    page.evaluate(`void cy.getElementById('${id}').emit({ type: 'click', originalEvent: { shiftKey: true } })`);
+}
+
+test('Shift+click on a TF selects it with all its targets', async () => {
+    shiftClick('90001');
+    await waitFor(() => page.evaluate(`cy.getElementById('90001').selected()`), 'the TF to be selected');
+    
+    assert.strictEqual(page.evaluate(`cy.nodes(':selected').length`), 102);
+});
+
+test('A second Shift+click on a selected group deselects it', async () => {
+    shiftClick('90001');
+    await waitFor(() => page.evaluate(`cy.getElementById('90001').selected()`), 'the TF to be selected');
+    
+    shiftClick('90001');
+    await waitFor(() => !page.evaluate(`cy.getElementById('90001').selected()`), 'the TF to be deselected');
+    
+    assert.strictEqual(page.evaluate(`cy.nodes(':selected').length`), 0);
+});
+
+test('Selecting targets in a large drawn network warns through the shared buttons', () => {
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('proceed-anyway-btn').click();
+    assert.strictEqual(page.evaluate('cy.nodes().length'), 314);
+    page.evaluate(`window.renderCount = 0; const originalVisualize = visualizeNetwork;
+        visualizeNetwork = function() { window.renderCount++; originalVisualize(); }`);
+    
+    page.evaluate(`void cy.getElementById('90001').select()`);
+    page.evaluate('selectTFAndTargets()');
+    
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.evaluate('isLargeNetworkWarningVisible'), true);
+    assert.strictEqual(page.evaluate('proceedAnywayBtn.onclick'), null);
+    assert.strictEqual(page.evaluate('cancelVisualizationBtn.onclick'), null);
+    
+    page.document.getElementById('proceed-anyway-btn').click();
+    assert.strictEqual(page.evaluate('window.renderCount'), 1);
+    
+    // Later warnings are not handled twice either (Clear All leaves nothing to draw)
+    page.document.getElementById('clear-all-tf').click();
+    page.document.getElementById('select-all-tf').click();
+    page.document.getElementById('proceed-anyway-btn').click();
+    assert.strictEqual(page.evaluate('window.renderCount'), 2);
+    assert.deepStrictEqual(page.alerts, []);
+});
+
+test('Selecting targets is ignored while the warning is shown', () => {
+    page.evaluate(`void cy.getElementById('90001').select()`);
+    page.document.getElementById('select-all-tf').click();
+    assert.strictEqual(page.isWarningVisible(), true);
+    
+    page.evaluate('selectTFAndTargets()');
+    
+    assert.strictEqual(page.isWarningVisible(), true);
+    assert.strictEqual(page.evaluate('preLargeNetworkState.selectedTFs.length'), 1);
+});
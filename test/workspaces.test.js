@@ -0,0 +1,195 @@
+// Named workspaces saved in IndexedDB, and project files that carry them to another computer
+const fs = require('fs');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadPage, waitFor } = require('./helpers/load-page');
+const { parseNetworkText } = require('../network-data');
+
+const EXPRESSION_TABLE = 'gene\theat\tcold\n10000\t1.5\t-0.2\n10001\t-2.0\t0.4\n';
+
+let pages;
+let databases;
+
+beforeEach(() => {
+    pages = [];
+    databases = new IDBFactory();
+});
+
+afterEach(() => {
+    pages.forEach(page => {
+        assert.deepStrictEqual(page.errors, []);
+        page.close();
+    });
+});
+
+// Open the page, keeping saved workspaces for the pages opened after it in the same test
+async function openPage() {
+    const page = await loadPage({ indexedDB: databases });
+    pages.push(page);
+    await page.window.eval('refreshWorkspaceList()');
+    return page;
+}
+
+// Build an analysis: TFA and all targets at 0.5, an expression table, a moved and pinned node and notes
+async function buildAnalysis(page) {
+    page.tfCheckbox('90001').click();
+    page.document.getElementById('select-all-genes').click();
+    await page.setConfidence(0.5);
+    
+    page.window.eval(`loadExpressionFile(new File([${JSON.stringify(EXPRESSION_TABLE)}], 'expression.tsv'))`);
+    await waitFor(() => page.evaluate('expressionData !== null'), 'the expression table');
+    page.document.getElementById('expression-condition').value = '1';
+    
+    page.window.eval(`cy.getElementById('90001').position({ x: 1234, y: -50 }); togglePinnedNode('90001')`);
+    page.document.getElementById('workspace-notes').value = 'TFA targets look heat responsive';
+}
+
+test('A saved workspace restores the analysis after the page is reloaded', async () => {
+    const first = await openPage();
+    await buildAnalysis(first);
+    first.document.getElementById('workspace-name').value = 'Heat shock';
+    first.document.getElementById('save-workspace-btn').click();
+    await waitFor(() => first.document.getElementById('workspace-list').value === 'Heat shock', 'the saved workspace');
+    const renderedNodes = first.evaluate('cy.nodes().length');
+    
+    const second = await openPage();
+    assert.strictEqual(second.document.getElementById('workspace-info').textContent, '1 saved workspace');
+    await second.window.eval(`openWorkspace('Heat shock')`);
+    
+    assert.deepStrictEqual(second.evaluate('Array.from(selectedTFs)'), ['90001']);
+    assert.strictEqual(second.evaluate('selectedGenes.size'), 311);
+    assert.strictEqual(second.document.getElementById('confidence-slider').value, '0.5');
+    assert.strictEqual(second.evaluate('cy.nodes().length'), renderedNodes);
+    assert.deepStrictEqual(second.evaluate(`cy.getElementById('90001').position()`), { x: 1234, y: -50 });
+    assert.strictEqual(second.evaluate(`cy.getElementById('90001').locked()`), true);
+    assert.strictEqual(second.document.getElementById('expression-info').textContent, 'expression.tsv: 2 conditions, 2 genes');
+    assert.strictEqual(second.document.getElementById('expression-condition').value, '1');
+    assert.strictEqual(second.document.getElementById('workspace-notes').value, 'TFA targets look heat responsive');
+    assert.deepStrictEqual(second.alerts, []);
+});
+
+test('Saving under an existing name asks before replacing it', async () => {
+    const page = await openPage();
+    await page.window.eval(`saveWorkspace('Draft')`);
+    
+    const questions = [];
+    page.window.confirm = message => {
+        questions.push(message);
+        return false;
+    };
+    page.document.getElementById('workspace-notes').value = 'second thoughts';
+    await page.window.eval(`saveWorkspace('Draft')`);
+    
+    assert.deepStrictEqual(questions, ['Replace the saved workspace "Draft"?']);
+    const saved = await page.window.eval(`runWorkspaceRequest('readonly', store => store.get('Draft'))`);
+    assert.strictEqual(saved.notes, '');
+});
+
+test('A project file opens on another computer and is kept there', async () => {
+    const first = await openPage();
+    await buildAnalysis(first);
+    const projectFile = first.window.eval(`JSON.stringify(captureWorkspace('Heat shock'))`);
+    
+    databases = new IDBFactory();
+    const second = await openPage();
+    await second.window.eval(`importProjectFile(${JSON.stringify(projectFile)}, 'heat.cryptonet.json')`);
+    
+    assert.deepStrictEqual(second.alerts, []);
+    assert.deepStrictEqual(second.evaluate('Array.from(selectedTFs)'), ['90001']);
+    assert.strictEqual(second.document.getElementById('workspace-notes').value, 'TFA targets look heat responsive');
+    assert.strictEqual(second.document.getElementById('workspace-list').value, 'Heat shock');
+});
+
+test('A project file saved with another network asks before opening', async () => {
+    const first = await openPage();
+    await buildAnalysis(first);
+    const project = JSON.parse(first.window.eval(`JSON.stringify(captureWorkspace('Heat shock'))`));
+    project.network.checksum = 'fnv1a-00000000-401';
+    
+    const second = await openPage();
+    const questions = [];
+    second.window.confirm = message => {
+        questions.push(message);
+        return false;
+    };
+    await second.window.eval(`importProjectFile(${JSON.stringify(JSON.stringify(project))}, 'heat.cryptonet.json')`);
+    
+    assert.strictEqual(questions.length, 1);
+    assert.match(questions[0], /is not the file the workspace "Heat shock" was saved with/);
+    assert.strictEqual(second.evaluate('selectedTFs.size'), 0);
+    assert.strictEqual(second.document.getElementById('workspace-list').options.length, 0);
+});
+
+test('Opening a workspace drops overlays it was not saved with', async () => {
+    const page = await openPage();
+    await page.window.eval(`saveWorkspace('Plain')`);
+    await buildAnalysis(page);
+    page.window.eval(`applyTFManifestFile('90001\\tTFA\\n99999\\tTFX\\n', 'perturbed.tsv')`);
+    assert.strictEqual(page.evaluate('tfSet.has("99999")'), true);
+    
+    await page.window.eval(`openWorkspace('Plain')`);
+    
+    assert.strictEqual(page.evaluate('expressionData'), null);
+    assert.strictEqual(page.evaluate('loadedOverlayFiles.size'), 0);
+    assert.strictEqual(page.document.getElementById('expression-info').textContent,
+        'No expression data loaded (gene ID, then one log2 fold change column per condition)');
+    assert.strictEqual(page.document.getElementById('expression-filter').disabled, true);
+    assert.strictEqual(page.document.getElementById('expression-legend').style.display, 'none');
+    assert.strictEqual(page.evaluate('tfManifest.isDefault'), true);
+    assert.strictEqual(page.evaluate('tfSet.has("99999")'), false);
+    
+    assert.deepStrictEqual(page.evaluate(`captureWorkspace('Plain again').overlays`), {});
+});
+
+test('A project file with missing or invalid fields is stored with defaults', async () => {
+    const first = await openPage();
+    await buildAnalysis(first);
+    const project = JSON.parse(first.window.eval(`JSON.stringify(captureWorkspace('Hand edited'))`));
+    delete project.savedAt;
+    delete project.notes;
+    project.expressionFilter.cutoff = 'high';
+    project.expressionFilter.condition = '7';
+    project.positions.nodes['10000'] = { x: 'left' };
+    
+    const second = await openPage();
+    await second.window.eval(`saveWorkspace('First')`);
+    await second.window.eval(`saveWorkspace('Second')`);
+    await second.window.eval(`importProjectFile(${JSON.stringify(JSON.stringify(project))}, 'edited.cryptonet.json')`);
+    
+    assert.deepStrictEqual(second.alerts, []);
+    assert.strictEqual(second.document.getElementById('expression-cutoff').value, '1');
+    assert.strictEqual(second.document.getElementById('expression-condition').value, '0');
+    assert.strictEqual(second.document.getElementById('workspace-notes').value, '');
+    assert.strictEqual(second.document.getElementById('workspace-info').textContent, '3 saved workspaces');
+    
+    const stored = await second.window.eval(`runWorkspaceRequest('readonly', store => store.get('Hand edited'))`);
+    assert.ok(!isNaN(Date.parse(stored.savedAt)));
+    assert.strictEqual(stored.notes, '');
+    assert.strictEqual(stored.positions.nodes['10000'], undefined);
+    
+    const third = await openPage();
+    const options = Array.from(third.document.getElementById('workspace-list').options).map(option => option.value);
+    assert.deepStrictEqual(options, ['Hand edited', 'Second', 'First']);
+    assert.ok(!third.document.getElementById('workspace-list').textContent.includes('Invalid Date'));
+});
+
+test('A file that is not a project file is rejected', async () => {
+    const page = await openPage();
+    
+    await page.window.eval(`importProjectFile('{"tfs": []}', 'positions.json')`);
+    await page.window.eval(`importProjectFile('not json', 'notes.txt')`);
+    
+    assert.strictEqual(page.alerts.length, 2);
+    assert.strictEqual(page.alerts[0], 'positions.json is not a project file.');
+    assert.match(page.alerts[1], /^notes\.txt is not a valid project file/);
+});
+
+test('The network checksum depends on the edges, not on line endings', () => {
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'network.tsv'), 'utf8');
+    const checksum = parseNetworkText(text, 'network.tsv', {}).result.checksum;
+    
+    assert.strictEqual(parseNetworkText(text.replace(/\n/g, '\r\n'), 'copy.tsv', {}).result.checksum, checksum);
+    assert.notStrictEqual(parseNetworkText(text.replace('0.449', '0.450'), 'network.tsv', {}).result.checksum, checksum);
+});